@@ -17,10 +17,13 @@
 /**
  * Min-Heap Priority Queue for optimal path finding
  * Time Complexity: O(log n) for insert/extract
+ * Items are ordered by the numeric property named by `key` (`time` for
+ * Dijkstra, `priority` = time + heuristic for A*)
  */
 class MinHeap {
-  constructor() {
+  constructor(key = 'time') {
     this.heap = [];
+    this.key = key;
   }
 
   insert(item) {
@@ -39,25 +42,27 @@ class MinHeap {
   }
 
   bubbleUp(idx) {
+    const key = this.key;
     while (idx > 0) {
       const parentIdx = Math.floor((idx - 1) / 2);
-      if (this.heap[parentIdx].time <= this.heap[idx].time) break;
+      if (this.heap[parentIdx][key] <= this.heap[idx][key]) break;
       [this.heap[parentIdx], this.heap[idx]] = [this.heap[idx], this.heap[parentIdx]];
       idx = parentIdx;
     }
   }
 
   bubbleDown(idx) {
+    const key = this.key;
     const length = this.heap.length;
     while (true) {
       let smallest = idx;
       const left = 2 * idx + 1;
       const right = 2 * idx + 2;
 
-      if (left < length && this.heap[left].time < this.heap[smallest].time) {
+      if (left < length && this.heap[left][key] < this.heap[smallest][key]) {
         smallest = left;
       }
-      if (right < length && this.heap[right].time < this.heap[smallest].time) {
+      if (right < length && this.heap[right][key] < this.heap[smallest][key]) {
         smallest = right;
       }
       if (smallest === idx) break;
@@ -67,6 +72,10 @@ class MinHeap {
     }
   }
 
+  peek() {
+    return this.heap.length > 0 ? this.heap[0] : null;
+  }
+
   isEmpty() {
     return this.heap.length === 0;
   }
@@ -81,68 +90,256 @@ class MinHeap {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Parses the museum grid and extracts all game elements
+ * Splits a grid row into cells. Numbered keys and doors (K1..K9, D1..D9)
+ * and labeled portals (Pa, P1, Oa, ...) are written with two characters
+ * but occupy a single cell.
+ * @param {string} row - One row of the museum grid
+ * @returns {string[]} Cell symbols
+ */
+function splitRow(row) {
+  return row.match(/[KD][1-9]|[PO][0-9a-z]|./g) || [];
+}
+
+/**
+ * Parses the museum grid and extracts all game elements. Problems are
+ * collected instead of thrown: `errors` make the grid unsolvable (ragged
+ * rows, several S or E cells, unknown characters, doors without keys, ...)
+ * and `warnings` flag parts that are ignored. Each entry is { r, c, message }
+ * with r/c null when the problem has no single cell.
  * @param {string[]} grid - Array of strings representing the museum
  * @returns {Object} Parsed museum data
  */
 function parseMuseum(grid) {
+  const rowList = Array.isArray(grid) ? grid : [];
+  const cells = rowList.map(row => (typeof row === 'string' ? splitRow(row) : []));
   const museum = {
-    grid: grid.map(row => row.split('')),
-    rows: grid.length,
-    cols: grid[0].length,
+    grid: cells,
+    rows: cells.length,
+    cols: cells.length > 0 ? cells[0].length : 0,
     start: null,
     exit: null,
     gems: [],
     keys: [],
     doors: [],
-    portals: new Map(), // Maps portal positions to their pairs
+    portals: new Map(), // Maps entry portal positions to { channel, targets }
+    portalChannels: [], // { id, bit, label, endpoints } - each channel usable once
     timeRifts: [],
-    lasers: []
+    lasers: [],
+    errors: [],
+    warnings: []
   };
 
   const portalPositions = [];
 
+  // Shape checks: the grid must be a non-empty rectangle of strings
+  if (museum.rows === 0) {
+    museum.errors.push({ r: null, c: null, message: 'Grid is empty' });
+  }
+  rowList.forEach((row, r) => {
+    if (typeof row !== 'string') {
+      museum.errors.push({ r, c: null, message: `Row ${r} is not a string` });
+    } else if (cells[r].length === 0) {
+      museum.errors.push({ r, c: null, message: `Row ${r} is empty` });
+    } else if (cells[r].length !== museum.cols) {
+      museum.errors.push({
+        r,
+        c: Math.min(cells[r].length, museum.cols),
+        message: `Row ${r} has ${cells[r].length} cells, expected ${museum.cols} (ragged row)`
+      });
+    }
+  });
+
   for (let r = 0; r < museum.rows; r++) {
-    for (let c = 0; c < museum.cols; c++) {
+    for (let c = 0; c < museum.grid[r].length; c++) {
       const cell = museum.grid[r][c];
 
       if (cell === 'S') {
-        museum.start = { r, c };
+        if (museum.start) {
+          museum.errors.push({ r, c, message: `Extra start S at (${r},${c}), first at (${museum.start.r},${museum.start.c})` });
+        } else {
+          museum.start = { r, c };
+        }
       } else if (cell === 'E') {
-        museum.exit = { r, c };
-      } else if (cell === 'G' || cell.match(/G\d/)) {
-        museum.gems.push({ r, c, id: museum.gems.length });
-      } else if (cell === 'K' || cell.match(/K\d/)) {
-        museum.keys.push({ r, c, id: museum.keys.length });
-      } else if (cell === 'D' || cell.match(/D\d/)) {
-        museum.doors.push({ r, c, id: museum.doors.length });
-      } else if (cell === 'P') {
-        portalPositions.push({ r, c });
+        if (museum.exit) {
+          museum.errors.push({ r, c, message: `Extra exit E at (${r},${c}), first at (${museum.exit.r},${museum.exit.c})` });
+        } else {
+          museum.exit = { r, c };
+        }
+      } else if (cell === 'G') {
+        museum.gems.push({ r, c, id: museum.gems.length, bit: itemBit(museum.gems.length) });
+      } else if (cell[0] === 'K') { // K, or K1..K9 kept whole by splitRow
+        museum.keys.push({ r, c, id: museum.keys.length, bit: itemBit(museum.keys.length), label: cell[1] || null });
+      } else if (cell[0] === 'D') {
+        museum.doors.push({ r, c, id: museum.doors.length, label: cell[1] || null, keyId: -1 });
+      } else if (cell === 'P' || cell.match(/^[PO][0-9a-z]$/)) {
+        portalPositions.push({ r, c, label: cell[1] || null, exitOnly: cell[0] === 'O' });
       } else if (cell === 'T') {
         museum.timeRifts.push({ r, c });
       } else if (cell === 'L') {
         museum.lasers.push({ r, c });
+      } else if (cell !== '.' && cell !== '#') {
+        museum.errors.push({ r, c, message: `Unknown cell "${cell}" at (${r},${c})` });
       }
     }
   }
 
-  // Pair up portals (in order they appear)
-  for (let i = 0; i < portalPositions.length; i += 2) {
-    if (i + 1 < portalPositions.length) {
-      const p1 = portalPositions[i];
-      const p2 = portalPositions[i + 1];
-      museum.portals.set(`${p1.r},${p1.c}`, p2);
-      museum.portals.set(`${p2.r},${p2.c}`, p1);
+  if (museum.rows > 0 && !museum.start) {
+    museum.errors.push({ r: null, c: null, message: 'Missing start S' });
+  }
+  if (museum.rows > 0 && !museum.exit) {
+    museum.errors.push({ r: null, c: null, message: 'Missing exit E' });
+  }
+
+  // Pair doors with keys: numbered doors take the key with the same number,
+  // plain doors take plain keys in the order they appear
+  const plainKeys = museum.keys.filter(k => k.label === null);
+  let plainDoors = 0;
+  museum.keys.forEach(key => {
+    if (key.label !== null && museum.keys.some(k => k.label === key.label && k.id < key.id)) {
+      museum.errors.push({ r: key.r, c: key.c, message: `Duplicate key K${key.label} at (${key.r},${key.c})` });
+    }
+  });
+  museum.doors.forEach(door => {
+    const key = door.label === null
+      ? plainKeys[plainDoors++]
+      : museum.keys.find(k => k.label === door.label);
+    if (key) {
+      door.keyId = key.id;
+    } else {
+      museum.errors.push({ r: door.r, c: door.c, message: `Door D${door.label || ''} at (${door.r},${door.c}) has no matching key` });
     }
+  });
+
+  // Build portal channels. From any entry endpoint the player may jump to
+  // any other endpoint of the same channel; exit-only endpoints (O) can be
+  // arrived at but not departed from.
+  const addChannel = (label, endpoints) => {
+    const channel = { id: museum.portalChannels.length, bit: itemBit(museum.portalChannels.length), label, endpoints };
+    museum.portalChannels.push(channel);
+    endpoints.filter(e => !e.exitOnly).forEach(from => {
+      const targets = endpoints.filter(e => e !== from).map(({ r, c }) => ({ r, c }));
+      museum.portals.set(`${from.r},${from.c}`, { channel: channel.id, targets });
+    });
+  };
+
+  // Plain portals pair up in the order they appear
+  const plainPortals = portalPositions.filter(p => p.label === null);
+  for (let i = 0; i + 1 < plainPortals.length; i += 2) {
+    addChannel(null, [plainPortals[i], plainPortals[i + 1]]);
+  }
+  if (plainPortals.length % 2 === 1) {
+    const p = plainPortals[plainPortals.length - 1];
+    museum.warnings.push({ r: p.r, c: p.c, message: `Unpaired portal at (${p.r},${p.c}) ignored` });
   }
 
+  // Labeled portals form one channel per label
+  const labels = [...new Set(portalPositions.filter(p => p.label !== null).map(p => p.label))];
+  labels.forEach(label => {
+    const endpoints = portalPositions.filter(p => p.label === label);
+    if (endpoints.length < 2 || endpoints.every(e => e.exitOnly)) {
+      const p = endpoints[0];
+      museum.warnings.push({ r: p.r, c: p.c, message: `Portal channel ${label} at (${p.r},${p.c}) unusable` });
+    } else {
+      addChannel(label, endpoints);
+    }
+  });
+
+  // Numbered keys that no door asks for
+  museum.keys.forEach(key => {
+    if (key.label !== null && !museum.doors.some(d => d.label === key.label)) {
+      museum.warnings.push({ r: key.r, c: key.c, message: `Key K${key.label} at (${key.r},${key.c}) opens no door` });
+    }
+  });
+
+  museum.index = buildCellIndex(museum);
+
   return museum;
 }
 
+// Cell flags stored in museum.index.flags
+const CELL_WALL = 1;
+const CELL_LASER = 2;
+const CELL_RIFT = 4;
+
+/**
+ * Builds the per-cell lookup used by the solvers. Cell (r, c) lives at
+ * r * cols + c; item arrays hold the gem/key id there, or -1 for none,
+ * and doorKeyIds holds the key id a door needs. Cells of ragged rows past
+ * the first row's width are left out.
+ * @param {Object} museum - Parsed museum
+ * @returns {{ flags: Uint8Array, gemIds: Int32Array, keyIds: Int32Array, doorKeyIds: Int32Array, portals: Array }}
+ */
+function buildCellIndex(museum) {
+  const size = museum.rows * museum.cols;
+  const index = {
+    flags: new Uint8Array(size),
+    gemIds: new Int32Array(size).fill(-1),
+    keyIds: new Int32Array(size).fill(-1),
+    doorKeyIds: new Int32Array(size).fill(-1),
+    portals: new Array(size).fill(null) // Entry portal { channel, targets } or null
+  };
+  const cellOf = ({ r, c }) => (c < museum.cols ? r * museum.cols + c : -1);
+  const mark = (list, apply) => list.forEach(item => {
+    const cell = cellOf(item);
+    if (cell !== -1) apply(cell, item);
+  });
+
+  museum.grid.forEach((row, r) => row.forEach((symbol, c) => {
+    if (symbol === '#' && c < museum.cols) index.flags[r * museum.cols + c] |= CELL_WALL;
+  }));
+  mark(museum.lasers, cell => { index.flags[cell] |= CELL_LASER; });
+  mark(museum.timeRifts, cell => { index.flags[cell] |= CELL_RIFT; });
+  mark(museum.gems, (cell, gem) => { index.gemIds[cell] = gem.id; });
+  mark(museum.keys, (cell, key) => { index.keyIds[cell] = key.id; });
+  mark(museum.doors.filter(d => d.keyId !== -1), (cell, door) => { index.doorKeyIds[cell] = door.keyId; });
+  museum.portals.forEach((portal, pos) => {
+    const [r, c] = pos.split(',').map(Number);
+    const cell = cellOf({ r, c });
+    if (cell !== -1) index.portals[cell] = portal;
+  });
+
+  return index;
+}
+
+/**
+ * Validation pass over a grid without solving it
+ * @param {string[]} grid - The museum grid
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[] }}
+ */
+function validateMuseum(grid) {
+  const { errors, warnings } = parseMuseum(grid);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 3: STATE REPRESENTATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Inventory sets (collected gems, collected keys, used portal channels) are
+ * BigInt bitmasks, so a museum can hold any number of items: bit i = item i.
+ * Each parsed item carries its precomputed `bit`, keeping the solver loops
+ * free of BigInt conversions.
+ */
+const EMPTY_SET = 0n;
+
+function itemBit(idx) {
+  return 1n << BigInt(idx);
+}
+
+function fullSet(count) {
+  return (1n << BigInt(count)) - 1n;
+}
+
+/**
+ * Counts the items in an inventory set
+ */
+function countBits(set) {
+  let count = 0;
+  for (; set; set &= set - 1n) count++;
+  return count;
+}
+
 /**
  * State is represented as:
  * - Position (r, c)
@@ -151,6 +348,7 @@ function parseMuseum(grid) {
  * - Bitmask of collected keys
  * - Bitmask of used portals
  * - Boolean for time rift used
+ * - Laser phase (time % laserPeriod), so waiting out a laser is not pruned
  */
 class State {
   constructor(r, c, time, gemMask, keyMask, portalMask, riftUsed) {
@@ -159,13 +357,13 @@ class State {
     this.time = time;
     this.gemMask = gemMask;      // Bit i = 1 if gem i collected
     this.keyMask = keyMask;      // Bit i = 1 if key i collected
-    this.portalMask = portalMask; // Bit i = 1 if portal pair i used
+    this.portalMask = portalMask; // Bit i = 1 if portal channel i used
     this.riftUsed = riftUsed;    // true if time rift already used
   }
 
   // Create unique hash for memoization
-  hash() {
-    return `${this.r},${this.c},${this.gemMask},${this.keyMask},${this.portalMask},${this.riftUsed}`;
+  hash(laserPeriod = 3) {
+    return `${this.r},${this.c},${this.gemMask},${this.keyMask},${this.portalMask},${this.riftUsed},${this.time % laserPeriod}`;
   }
 
   clone() {
@@ -176,142 +374,353 @@ class State {
   }
 }
 
+// Largest state space given dense integer keys (larger ones key by State.hash())
+const DENSE_STATE_LIMIT = 1 << 24;
+
+// Dense tables allocate pages of 2^12 states on first write, so their memory
+// follows the states a search reaches rather than the whole state space
+const STATE_PAGE_BITS = 12;
+const STATE_PAGE_SIZE = 1 << STATE_PAGE_BITS;
+
+const STEP_TYPES = ['move', 'portal', 'wait', 'rift'];
+
+/**
+ * Integer key of a state: in a small enough state space that is its dense index
+ *   ((((cell * 2^G + gems) * 2^K + keys) * 2^P + portals) * 2 + rift) * L + phase
+ * otherwise it is State.hash().
+ * @param {Object} museum - Parsed museum
+ * @param {number} laserPeriod - Laser period (L)
+ * @returns {Object} { dense, stateCount, key }
+ */
+function createStateKey(museum, laserPeriod) {
+  const gemStates = 2 ** museum.gems.length;
+  const keyStates = 2 ** museum.keys.length;
+  const portalStates = 2 ** museum.portalChannels.length;
+  const stateCount = museum.rows * museum.cols * gemStates * keyStates * portalStates * 2 * laserPeriod;
+  const cols = museum.cols;
+
+  if (stateCount > DENSE_STATE_LIMIT) {
+    return { dense: false, stateCount, key: state => state.hash(laserPeriod) };
+  }
+  return {
+    dense: true,
+    stateCount,
+    key: state => (((((state.r * cols + state.c) * gemStates + Number(state.gemMask)) * keyStates +
+      Number(state.keyMask)) * portalStates + Number(state.portalMask)) * 2 + (state.riftUsed ? 1 : 0)) *
+      laserPeriod + state.time % laserPeriod
+  };
+}
+
+/**
+ * A zero-filled typed array of the given length whose pages are only
+ * allocated once something is written to them
+ * @param {Function} ArrayType - Typed array constructor
+ * @param {number} length - Number of entries
+ * @returns {{ get: function(number): number, set: function(number, number): void }}
+ */
+function createPagedArray(ArrayType, length) {
+  const pages = new Array(Math.ceil(length / STATE_PAGE_SIZE)).fill(null);
+  const offsetMask = STATE_PAGE_SIZE - 1;
+  return {
+    get: i => {
+      const page = pages[i >>> STATE_PAGE_BITS];
+      return page === null ? 0 : page[i & offsetMask];
+    },
+    set: (i, value) => {
+      const p = i >>> STATE_PAGE_BITS;
+      if (pages[p] === null) pages[p] = new ArrayType(STATE_PAGE_SIZE);
+      pages[p][i & offsetMask] = value;
+    }
+  };
+}
+
+/**
+ * Visited and parent tables for the solvers, indexed by createStateKey's
+ * keys: typed arrays for dense keys, Maps for the State.hash() fallback.
+ * @param {Object} museum - Parsed museum
+ * @param {number} laserPeriod - Laser period (L)
+ * @returns {Object} { dense, key, has, time, set, parentOf, stepOf, size }
+ */
+function createStateTable(museum, laserPeriod) {
+  const gemStates = 2 ** museum.gems.length;
+  const keyStates = 2 ** museum.keys.length;
+  const portalStates = 2 ** museum.portalChannels.length;
+  const { dense, stateCount, key } = createStateKey(museum, laserPeriod);
+
+  if (!dense) {
+    const times = new Map();   // key -> time
+    const parents = new Map(); // key -> { prevKey, type, state }
+    return {
+      dense: false,
+      key,
+      has: key => times.has(key),
+      time: key => times.get(key),
+      set(key, time, prevKey, type, state) {
+        times.set(key, time);
+        if (prevKey !== null) parents.set(key, { prevKey, type, state });
+      },
+      parentOf: key => (parents.has(key) ? parents.get(key).prevKey : null),
+      stepOf: key => parents.get(key),
+      get size() { return times.size; }
+    };
+  }
+
+  // Values are stored +1 so that 0 means "not seen" / "no parent"
+  const times = createPagedArray(Int32Array, stateCount);
+  const parents = createPagedArray(Int32Array, stateCount);
+  const types = createPagedArray(Uint8Array, stateCount);
+  const cols = museum.cols;
+  let size = 0;
+
+  const decode = key => {
+    const time = times.get(key) - 1;
+    let rest = Math.floor(key / laserPeriod);
+    const riftUsed = rest % 2 === 1;
+    rest = Math.floor(rest / 2);
+    const portalMask = BigInt(rest % portalStates);
+    rest = Math.floor(rest / portalStates);
+    const keyMask = BigInt(rest % keyStates);
+    rest = Math.floor(rest / keyStates);
+    const gemMask = BigInt(rest % gemStates);
+    const cell = Math.floor(rest / gemStates);
+    return new State(Math.floor(cell / cols), cell % cols, time, gemMask, keyMask, portalMask, riftUsed);
+  };
+
+  return {
+    dense: true,
+    key,
+    has: key => times.get(key) !== 0,
+    time: key => {
+      const stored = times.get(key);
+      return stored !== 0 ? stored - 1 : undefined;
+    },
+    set(key, time, prevKey, type) {
+      if (times.get(key) === 0) size++;
+      times.set(key, time + 1);
+      if (prevKey !== null) {
+        parents.set(key, prevKey + 1);
+        types.set(key, STEP_TYPES.indexOf(type));
+      }
+    },
+    parentOf: key => {
+      const stored = parents.get(key);
+      return stored !== 0 ? stored - 1 : null;
+    },
+    stepOf: key => ({ type: STEP_TYPES[types.get(key)], state: decode(key) }),
+    get size() { return size; }
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 4: THE MAIN SOLVER - Dijkstra's with State Compression
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Solves the Quantum Heist puzzle using modified Dijkstra's algorithm
- * with multi-dimensional state space
- *
- * Time Complexity: O(R * C * 2^G * 2^K * 2^P * 2 * log(states))
- * Where R=rows, C=cols, G=gems, K=keys, P=portals
- *
- * @param {string[]} grid - The museum grid
- * @returns {Object} Solution with minimum time and path, or -1 if impossible
+ * Default game rules. Any subset can be overridden per level through the
+ * `rules` argument of the solvers.
  */
-function solveQuantumHeist(grid) {
-  const museum = parseMuseum(grid);
+const DEFAULT_RULES = {
+  moveCost: 1,            // Time units per move
+  waitCost: 1,            // Time units per wait
+  portalCost: 0,          // Time units per teleport
+  portalReusable: false,  // true = portal channels are never used up
+  laserPeriod: 3,         // Lasers fire when time % laserPeriod == 0
+  riftRewind: 2,          // Time units a time rift rewinds (usable once)
+  maxIterations: 1000000  // Safety limit on expanded states
+};
 
-  if (!museum.start || !museum.exit) {
-    return { time: -1, path: [], message: "Missing start or exit!" };
+/**
+ * Parses a rule value given as text (CLI flag or interactive prompt)
+ * @param {string} name - Rule name from DEFAULT_RULES
+ * @param {string} value - Raw text value
+ * @returns {number|boolean} Typed value
+ */
+function parseRuleValue(name, value) {
+  if (typeof DEFAULT_RULES[name] === 'boolean') {
+    return value === undefined || value === 'true';
   }
+  return Number(value);
+}
 
-  const totalGems = museum.gems.length;
-  const allGemsCollected = (1 << totalGems) - 1;
+/**
+ * Merges rule overrides with the defaults and checks their values
+ * @param {Object} [rules] - Partial rules object
+ * @returns {{ rules: Object, errors: string[] }} Complete rules and any problems
+ */
+function resolveRules(rules = {}) {
+  const resolved = { ...DEFAULT_RULES, ...rules };
+  const errors = [];
+  const minimums = { moveCost: 1, waitCost: 1, portalCost: 0, laserPeriod: 1, riftRewind: 0, maxIterations: 1 };
 
-  // Direction vectors: up, down, left, right
-  const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-  const dirNames = ['UP', 'DOWN', 'LEFT', 'RIGHT'];
+  Object.keys(rules).forEach(name => {
+    if (!(name in DEFAULT_RULES)) errors.push(`Unknown rule "${name}"`);
+  });
+  Object.keys(minimums).forEach(name => {
+    if (!Number.isInteger(resolved[name]) || resolved[name] < minimums[name]) {
+      errors.push(`${name} must be an integer >= ${minimums[name]}`);
+    }
+  });
+  if (typeof resolved.portalReusable !== 'boolean') {
+    errors.push('portalReusable must be true or false');
+  }
 
-  // Priority queue and visited set
-  const pq = new MinHeap();
-  const visited = new Map(); // hash -> minimum time to reach this state
+  return { rules: resolved, errors };
+}
 
-  // Track path for reconstruction
-  const parent = new Map(); // hash -> { prevHash, action }
+const SEARCH_MODES = ['dijkstra', 'astar'];
 
-  // Initial state
-  const initialState = new State(
-    museum.start.r, museum.start.c, 0,
-    0, 0, 0, false
-  );
+/**
+ * Admissible A* heuristic: a lower bound on the time a state still needs.
+ * Every remaining gem must be visited before the exit, so the bound is the
+ * largest (to gem + gem to exit) over the remaining gems. Each leg is the
+ * Manhattan distance, or the walk to and from the nearest portal endpoints
+ * if a teleport could be shorter. An unused rift can still rewind time, so
+ * riftRewind comes off the bound.
+ * @param {Object} museum - Parsed museum
+ * @param {Object} rules - Resolved rules
+ * @returns {function(State): number} Heuristic
+ */
+function createHeuristic(museum, rules) {
+  const { moveCost, portalCost, riftRewind } = rules;
+  const cols = museum.cols;
+  const endpoints = museum.portalChannels.flatMap(channel => channel.endpoints);
 
-  pq.insert(initialState);
-  visited.set(initialState.hash(), 0);
+  // Steps from each cell to the nearest portal endpoint (Infinity if none)
+  const nearPortal = new Float64Array(museum.rows * cols).fill(Infinity);
+  for (let r = 0; r < museum.rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      endpoints.forEach(e => {
+        nearPortal[r * cols + c] = Math.min(nearPortal[r * cols + c], Math.abs(r - e.r) + Math.abs(c - e.c));
+      });
+    }
+  }
 
-  // Helper: Check if position has a gem
-  const getGemIndex = (r, c) => {
-    return museum.gems.findIndex(g => g.r === r && g.c === c);
+  const legBound = (r1, c1, r2, c2) => {
+    const walk = Math.abs(r1 - r2) + Math.abs(c1 - c2);
+    const viaPortal = nearPortal[r1 * cols + c1] + nearPortal[r2 * cols + c2];
+    return Math.min(walk * moveCost, viaPortal * moveCost + portalCost);
   };
 
-  // Helper: Check if position has a key
-  const getKeyIndex = (r, c) => {
-    return museum.keys.findIndex(k => k.r === r && k.c === c);
+  const { exit, gems } = museum;
+  const gemToExit = gems.map(g => legBound(g.r, g.c, exit.r, exit.c));
+  const rewind = museum.timeRifts.length > 0 ? riftRewind : 0;
+
+  return state => {
+    let bound = legBound(state.r, state.c, exit.r, exit.c);
+    for (let i = 0; i < gems.length; i++) {
+      if (!(state.gemMask & gems[i].bit)) {
+        bound = Math.max(bound, legBound(state.r, state.c, gems[i].r, gems[i].c) + gemToExit[i]);
+      }
+    }
+    // Not clamped at 0: waiting past the rewind and then rifting can end
+    // the heist earlier than the current time
+    return state.riftUsed ? bound : bound - rewind;
   };
+}
+
+/**
+ * Dijkstra priority of a state. The rift is the only negative step, so
+ * ordering by time - riftRewind until the rift is used makes every step
+ * non-negative and each state is final when first popped. A finish found
+ * this way is only the fastest once nothing left in the queue has a lower
+ * priority than its time.
+ */
+function createRiftPotential(museum, rules) {
+  const shift = museum.index.flags.some(f => f & CELL_RIFT) ? rules.riftRewind : 0;
+  return state => state.riftUsed ? state.time : state.time - shift;
+}
+
+/**
+ * Per-cell lookups for the successor function. 'index' reads museum.index
+ * in O(1); 'scan' searches the item lists the way the solver did before the
+ * index existed, and is kept only so the bench command can time both.
+ * @param {Object} museum - Parsed museum
+ * @param {string} [mode] - 'index' or 'scan'
+ * @returns {{ isWall: Function, doorKeyId: Function, isLaser: Function, gemId: Function, keyId: Function, portal: Function, isRift: Function }}
+ */
+function createCellLookups(museum, mode = 'index') {
+  if (mode === 'scan') {
+    const at = (list, r, c) => list.findIndex(item => item.r === r && item.c === c);
+    return {
+      isWall: (r, c) => museum.grid[r][c] === '#',
+      doorKeyId: (r, c) => {
+        const door = museum.doors.find(d => d.r === r && d.c === c);
+        return door ? door.keyId : -1;
+      },
+      isLaser: (r, c) => museum.lasers.some(l => l.r === r && l.c === c),
+      gemId: (r, c) => at(museum.gems, r, c),
+      keyId: (r, c) => at(museum.keys, r, c),
+      portal: (r, c) => museum.portals.get(`${r},${c}`) || null,
+      isRift: (r, c) => museum.timeRifts.some(t => t.r === r && t.c === c)
+    };
+  }
 
-  // Helper: Check if position has a door and which key it needs
-  const getDoorIndex = (r, c) => {
-    return museum.doors.findIndex(d => d.r === r && d.c === c);
+  const { flags, gemIds, keyIds, doorKeyIds, portals } = museum.index;
+  const cols = museum.cols;
+  return {
+    isWall: (r, c) => (flags[r * cols + c] & CELL_WALL) !== 0,
+    doorKeyId: (r, c) => doorKeyIds[r * cols + c],
+    isLaser: (r, c) => (flags[r * cols + c] & CELL_LASER) !== 0,
+    gemId: (r, c) => gemIds[r * cols + c],
+    keyId: (r, c) => keyIds[r * cols + c],
+    portal: (r, c) => portals[r * cols + c],
+    isRift: (r, c) => (flags[r * cols + c] & CELL_RIFT) !== 0
   };
+}
+
+/**
+ * The moves of the best-path search: every state one action away from a
+ * state, as { type, state } with the action's cost already in state.time.
+ * Shared by solveQuantumHeist and solveTopPaths.
+ * @param {Object} museum - Parsed museum
+ * @param {Object} rules - Resolved rules
+ * @param {Object} [lookups] - From createCellLookups (the O(1) index by default)
+ * @returns {function(State): Array<{type: string, state: State}>}
+ */
+function createSuccessors(museum, rules, lookups = createCellLookups(museum)) {
+  const { moveCost, waitCost, portalCost, portalReusable, laserPeriod, riftRewind } = rules;
+
+  // Direction vectors: up, down, left, right
+  const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  // Helper: Gem id at position, or -1
+  const getGemIndex = lookups.gemId;
+
+  // Helper: Key id at position, or -1
+  const getKeyIndex = lookups.keyId;
+
+  // Helper: Entry portal at position, or null
+  const getPortal = lookups.portal;
 
   // Helper: Check if laser is active at given time
-  const isLaserActive = (r, c, time) => {
-    const isLaser = museum.lasers.some(l => l.r === r && l.c === c);
-    return isLaser && time % 3 === 0;
-  };
+  const isLaserActive = (r, c, time) => lookups.isLaser(r, c) && time % laserPeriod === 0;
 
   // Helper: Check if position has time rift
-  const hasTimeRift = (r, c) => {
-    return museum.timeRifts.some(t => t.r === r && t.c === c);
-  };
-
-  // Helper: Get portal pair index
-  const getPortalPairIndex = (r, c) => {
-    let idx = 0;
-    for (const [key, _] of museum.portals) {
-      const [pr, pc] = key.split(',').map(Number);
-      if ((pr === r && pc === c)) {
-        return Math.floor(idx / 2);
-      }
-      idx++;
-    }
-    return -1;
-  };
+  const hasTimeRift = lookups.isRift;
 
   // Helper: Is valid move
   const isValidMove = (r, c, keyMask) => {
     if (r < 0 || r >= museum.rows || c < 0 || c >= museum.cols) return false;
-    const cell = museum.grid[r][c];
-    if (cell === '#') return false;
+    if (lookups.isWall(r, c)) return false;
 
     // Check if it's a door we can't open
-    const doorIdx = getDoorIndex(r, c);
-    if (doorIdx !== -1 && !(keyMask & (1 << doorIdx))) {
+    const keyId = lookups.doorKeyId(r, c);
+    if (keyId !== -1 && !(keyMask & museum.keys[keyId].bit)) {
       return false;
     }
 
     return true;
   };
 
-  let iterations = 0;
-  const maxIterations = 1000000; // Safety limit
-
-  while (!pq.isEmpty() && iterations < maxIterations) {
-    iterations++;
-    const current = pq.extractMin();
-
-    const currentHash = current.hash();
-
-    // Skip if we've found a better path to this state
-    if (visited.has(currentHash) && visited.get(currentHash) < current.time) {
-      continue;
-    }
-
-    // Check win condition: at exit with all gems
-    if (current.r === museum.exit.r &&
-        current.c === museum.exit.c &&
-        current.gemMask === allGemsCollected) {
-
-      // Reconstruct path
-      const path = reconstructPath(parent, currentHash, initialState.hash());
-
-      return {
-        time: current.time,
-        path: path,
-        iterations: iterations,
-        message: `Success! Completed in ${current.time} time units.`
-      };
-    }
-
-    // Generate next states
+  return current => {
+    const next = [];
 
     // Option 1: Move in 4 directions
     for (let d = 0; d < 4; d++) {
       const [dr, dc] = directions[d];
       const nr = current.r + dr;
       const nc = current.c + dc;
-      const newTime = current.time + 1;
+      const newTime = current.time + moveCost;
 
       if (!isValidMove(nr, nc, current.keyMask)) continue;
 
@@ -325,408 +734,2133 @@ function solveQuantumHeist(grid) {
       // Collect gem if present
       const gemIdx = getGemIndex(nr, nc);
       if (gemIdx !== -1) {
-        newGemMask |= (1 << gemIdx);
+        newGemMask |= museum.gems[gemIdx].bit;
       }
 
       // Collect key if present
       const keyIdx = getKeyIndex(nr, nc);
       if (keyIdx !== -1) {
-        newKeyMask |= (1 << keyIdx);
+        newKeyMask |= museum.keys[keyIdx].bit;
       }
 
-      const newState = new State(
+      next.push({ type: 'move', state: new State(
         nr, nc, newTime,
         newGemMask, newKeyMask, current.portalMask, current.riftUsed
-      );
-
-      const newHash = newState.hash();
-      if (!visited.has(newHash) || visited.get(newHash) > newTime) {
-        visited.set(newHash, newTime);
-        pq.insert(newState);
-        parent.set(newHash, { prevHash: currentHash, action: `Move ${dirNames[d]} to (${nr},${nc})` });
-      }
+      ) });
     }
 
-    // Option 2: Use portal (if on one and not used)
-    const portalKey = `${current.r},${current.c}`;
-    if (museum.portals.has(portalKey)) {
-      const portalIdx = getPortalPairIndex(current.r, current.c);
-      if (portalIdx !== -1 && !(current.portalMask & (1 << portalIdx))) {
-        const dest = museum.portals.get(portalKey);
-        const newPortalMask = current.portalMask | (1 << portalIdx);
+    // Option 2: Use portal (if on an entry and its channel is not used)
+    const portal = getPortal(current.r, current.c);
+    if (portal && (portalReusable || !(current.portalMask & museum.portalChannels[portal.channel].bit))) {
+      const newPortalMask = portalReusable ? current.portalMask : current.portalMask | museum.portalChannels[portal.channel].bit;
+      const newTime = current.time + portalCost;
 
-        // Portal teleport costs 0 time
+      // The player picks any other endpoint of the channel
+      for (const dest of portal.targets) {
+        // Portal teleport costs portalCost time (0 by default)
         const newState = new State(
-          dest.r, dest.c, current.time,
+          dest.r, dest.c, newTime,
           current.gemMask, current.keyMask, newPortalMask, current.riftUsed
         );
 
         // Collect items at destination
         const gemIdx = getGemIndex(dest.r, dest.c);
         if (gemIdx !== -1) {
-          newState.gemMask |= (1 << gemIdx);
+          newState.gemMask |= museum.gems[gemIdx].bit;
         }
         const keyIdx = getKeyIndex(dest.r, dest.c);
         if (keyIdx !== -1) {
-          newState.keyMask |= (1 << keyIdx);
+          newState.keyMask |= museum.keys[keyIdx].bit;
         }
 
-        const newHash = newState.hash();
-        if (!visited.has(newHash) || visited.get(newHash) > current.time) {
-          visited.set(newHash, current.time);
-          pq.insert(newState);
-          parent.set(newHash, { prevHash: currentHash, action: `PORTAL to (${dest.r},${dest.c})` });
-        }
+        next.push({ type: 'portal', state: newState });
       }
     }
 
-    // Option 3: Use time rift (rewind 2 time units, only once)
-    if (hasTimeRift(current.r, current.c) && !current.riftUsed && current.time >= 2) {
-      const newState = new State(
-        current.r, current.c, current.time - 2,
+    // Option 3: Wait in place (e.g. for a laser to switch off)
+    if (!isLaserActive(current.r, current.c, current.time + waitCost)) {
+      next.push({ type: 'wait', state: new State(
+        current.r, current.c, current.time + waitCost,
+        current.gemMask, current.keyMask, current.portalMask, current.riftUsed
+      ) });
+    }
+
+    // Option 4: Use time rift (rewind riftRewind time units, only once)
+    if (hasTimeRift(current.r, current.c) && !current.riftUsed && current.time >= riftRewind) {
+      next.push({ type: 'rift', state: new State(
+        current.r, current.c, current.time - riftRewind,
         current.gemMask, current.keyMask, current.portalMask, true
-      );
+      ) });
+    }
+
+    return next;
+  };
+}
+
+/**
+ * Solves the Quantum Heist puzzle using modified Dijkstra's algorithm
+ * with multi-dimensional state space, or A* with createHeuristic when
+ * options.search is 'astar' (same optimal time, fewer iterations)
+ *
+ * Time Complexity: O(R * C * 2^G * 2^K * 2^P * 2 * L * log(states))
+ * Where R=rows, C=cols, G=gems, K=keys, P=portals, L=laser period
+ *
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES
+ * @param {Object} [options] - { search: 'dijkstra' | 'astar', cellLookup: 'index' | 'scan' }
+ * @returns {Object} Solution with minimum time and path, or -1 if impossible;
+ *   exact is false if maxIterations stopped the search before it finished
+ */
+function solveQuantumHeist(grid, rules = {}, options = {}) {
+  const { search = 'dijkstra', cellLookup = 'index' } = options;
+  if (!SEARCH_MODES.includes(search)) {
+    return { time: -1, path: [], errors: [{ message: `Unknown search "${search}"` }], message: `Unknown search "${search}"` };
+  }
+  const { rules: activeRules, errors: ruleErrors } = resolveRules(rules);
+  if (ruleErrors.length > 0) {
+    return { time: -1, path: [], errors: ruleErrors.map(message => ({ message })), message: `Invalid rules: ${ruleErrors[0]}` };
+  }
+  const { laserPeriod, maxIterations } = activeRules;
+
+  const museum = parseMuseum(grid);
+
+  if (museum.errors.length > 0) {
+    return { time: -1, path: [], errors: museum.errors, warnings: museum.warnings, message: `Invalid puzzle: ${museum.errors[0].message}` };
+  }
+
+  const totalGems = museum.gems.length;
+  const allGemsCollected = fullSet(totalGems);
+
+  // Priority queue, plus minimum time and parent step per state key.
+  // A* orders the queue by time + heuristic instead of the rift-shifted time.
+  const heuristic = search === 'astar' ? createHeuristic(museum, activeRules) : null;
+  const potential = createRiftPotential(museum, activeRules);
+  const pq = new MinHeap('priority');
+  const table = createStateTable(museum, laserPeriod);
+  const push = state => {
+    state.priority = heuristic ? state.time + heuristic(state) : potential(state);
+    pq.insert(state);
+  };
+  const successors = createSuccessors(museum, activeRules, createCellLookups(museum, cellLookup));
+
+  // Initial state
+  const initialState = new State(
+    museum.start.r, museum.start.c, 0,
+    EMPTY_SET, EMPTY_SET, EMPTY_SET, false
+  );
+
+  push(initialState);
+  const startKey = table.key(initialState);
+  table.set(startKey, 0, null);
+
+  let iterations = 0;
+  let bestKey = null; // Fastest finish found so far
+  let exact = true;   // false once maxIterations cuts the search short
+
+  while (!pq.isEmpty()) {
+    // Nothing left in the queue can finish faster than its priority
+    if (bestKey !== null && pq.peek().priority >= table.time(bestKey)) break;
+    if (iterations >= maxIterations) {
+      exact = false;
+      break;
+    }
+
+    iterations++;
+    const current = pq.extractMin();
+
+    const currentKey = table.key(current);
+
+    // Skip if we've found a better path to this state
+    if (table.has(currentKey) && table.time(currentKey) < current.time) {
+      continue;
+    }
+
+    // Check win condition: at exit with all gems
+    if (current.r === museum.exit.r &&
+        current.c === museum.exit.c &&
+        current.gemMask === allGemsCollected) {
+      if (bestKey === null || current.time < table.time(bestKey)) bestKey = currentKey;
+      continue;
+    }
 
-      const newHash = newState.hash();
-      if (!visited.has(newHash) || visited.get(newHash) > newState.time) {
-        visited.set(newHash, newState.time);
-        pq.insert(newState);
-        parent.set(newHash, { prevHash: currentHash, action: `TIME RIFT! Rewound 2 units` });
+    // Generate next states, keeping each one if it beats the best time known for it
+    const next = successors(current);
+    for (let i = 0; i < next.length; i++) {
+      const { type, state: newState } = next[i];
+      const newKey = table.key(newState);
+      if (!table.has(newKey) || table.time(newKey) > newState.time) {
+        table.set(newKey, newState.time, currentKey, type, newState);
+        push(newState);
       }
     }
   }
 
+  if (bestKey !== null) {
+    // Reconstruct path
+    const time = table.time(bestKey);
+    const path = reconstructPath(table, bestKey, startKey, initialState, museum);
+
+    return {
+      time: time,
+      path: path,
+      iterations: iterations,
+      statesExplored: table.size,
+      search,
+      exact,
+      warnings: museum.warnings,
+      message: `Success! Completed in ${time} time units${exact ? '' : ' (search limit reached, may not be optimal)'}.`
+    };
+  }
+
   return {
     time: -1,
     path: [],
     iterations: iterations,
-    message: "Failed! No valid path exists."
+    statesExplored: table.size,
+    search,
+    exact,
+    warnings: museum.warnings,
+    message: exact ? 'Failed! No valid path exists.' : 'Failed! Search limit reached before any solution.'
   };
 }
 
 /**
- * Reconstructs the path from parent map
+ * Reconstructs the path from the state table's parent links as structured steps
  */
-function reconstructPath(parent, endHash, startHash) {
-  const path = [];
-  let currentHash = endHash;
+function reconstructPath(table, endKey, startKey, startState, museum) {
+  const transitions = [];
+  let currentKey = endKey;
 
-  while (currentHash !== startHash && parent.has(currentHash)) {
-    const { prevHash, action } = parent.get(currentHash);
-    path.unshift(action);
-    currentHash = prevHash;
+  while (currentKey !== startKey && table.parentOf(currentKey) !== null) {
+    transitions.unshift(table.stepOf(currentKey));
+    currentKey = table.parentOf(currentKey);
   }
 
-  return path;
+  let previous = startState;
+  return transitions.map(({ type, state }) => {
+    const step = createPathStep(type, previous, state, museum);
+    previous = state;
+    return step;
+  });
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 5: VISUALIZATION (CENTERED OUTPUT)
-// ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Gets terminal width, with fallback
+ * Builds one structured path step from the states before and after it
+ * @param {string} type - 'move', 'portal', 'wait' or 'rift'
+ * @param {State} from - State before the step
+ * @param {State} to - State after the step
+ * @param {Object} museum - Parsed museum
+ * @returns {Object} { type, from, to, time, gemsCollected, keyCollected, riftUsed, description }
+ *   where gemsCollected is the number of gems held after the step and
+ *   keyCollected is the id of the key picked up by this step (or null)
  */
-function getTerminalWidth() {
-  return process.stdout.columns || 80;
-}
+function createPathStep(type, from, to, museum) {
+  const newKeys = to.keyMask & ~from.keyMask;
+  const key = newKeys ? museum.keys.find(k => newKeys & k.bit) : null;
+
+  let description;
+  if (type === 'move') {
+    const direction = to.r < from.r ? 'UP' : to.r > from.r ? 'DOWN' : to.c < from.c ? 'LEFT' : 'RIGHT';
+    description = `Move ${direction} to (${to.r},${to.c})`;
+  } else if (type === 'portal') {
+    description = `PORTAL to (${to.r},${to.c})`;
+  } else if (type === 'wait') {
+    description = `WAIT at (${to.r},${to.c})`;
+  } else {
+    description = `TIME RIFT! Rewound ${from.time - to.time} units`;
+  }
 
-/**
- * Centers a line of text in the terminal
- */
-function centerText(text) {
-  const width = getTerminalWidth();
-  const textLength = text.replace(/\x1b\[[0-9;]*m/g, '').length; // Strip ANSI codes for length calc
-  const padding = Math.max(0, Math.floor((width - textLength) / 2));
-  return ' '.repeat(padding) + text;
+  return {
+    type,
+    from: { r: from.r, c: from.c },
+    to: { r: to.r, c: to.c },
+    time: to.time,
+    gemsCollected: countBits(to.gemMask),
+    keyCollected: key ? key.id : null,
+    riftUsed: to.riftUsed,
+    description
+  };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PATH VALIDATION - Replays a proposed path under the solver's rules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MOVE_DELTAS = { UP: [-1, 0], DOWN: [1, 0], LEFT: [0, -1], RIGHT: [0, 1] };
+
 /**
- * Prints centered line
+ * Normalizes one submitted step. Accepts structured steps as returned by
+ * solveQuantumHeist, or text such as "UP", "Move LEFT to (2,3)", "WAIT",
+ * "PORTAL to (4,0)" and "RIFT". Log-file prefixes like "001. [t=1]" are ignored.
+ * @param {Object|string} step - Submitted step
+ * @returns {Object|null} { type, direction, to } or null if unrecognised
  */
-function printCentered(text) {
-  console.log(centerText(text));
+function normalizePathStep(step) {
+  if (step && typeof step === 'object') {
+    const type = String(step.type || '').toLowerCase();
+    if (!['move', 'portal', 'wait', 'rift'].includes(type)) return null;
+    return {
+      type,
+      direction: step.direction ? String(step.direction).toUpperCase() : null,
+      to: step.to || null
+    };
+  }
+  if (typeof step !== 'string') return null;
+
+  const text = step.replace(/^\s*\d+\.\s*/, '').replace(/^\[t=-?\d+\]\s*/, '').toUpperCase();
+  const coords = text.match(/(\d+)\s*,\s*(\d+)/);
+  const to = coords ? { r: Number(coords[1]), c: Number(coords[2]) } : null;
+  const direction = text.match(/\b(UP|DOWN|LEFT|RIGHT)\b/);
+
+  if (/\bPORTAL\b/.test(text)) return { type: 'portal', direction: null, to };
+  if (/\bWAIT\b/.test(text)) return { type: 'wait', direction: null, to: null };
+  if (/\bRIFT\b/.test(text)) return { type: 'rift', direction: null, to: null };
+  if (direction) return { type: 'move', direction: direction[1], to: null };
+  return null;
 }
 
 /**
- * Pretty prints the museum grid with legend (centered)
+ * Replays a proposed path step by step, applying walls, doors, laser timing,
+ * portal channels and the time rift exactly as solveQuantumHeist does
+ *
+ * @param {string[]} grid - The museum grid
+ * @param {Array<Object|string>} steps - Structured steps or step strings
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES
+ * @returns {Object} Final time and inventory; `error` holds the first illegal
+ *   step ({ step, reason }, step is 0-based) or null, and `solved` is true
+ *   when the path ends on the exit with every gem collected
  */
-function visualizeMuseum(grid) {
-  const boxWidth = Math.max(44, grid[0].length * 2 + 10);
-  const border = '+' + '='.repeat(boxWidth - 2) + '+';
-  const title = '|' + 'THE MUSEUM'.padStart(Math.floor((boxWidth - 2 + 10) / 2)).padEnd(boxWidth - 2) + '|';
+function validatePath(grid, steps, rules = {}) {
+  const { rules: activeRules, errors: ruleErrors } = resolveRules(rules);
+  if (ruleErrors.length > 0) {
+    return { valid: false, solved: false, error: { step: -1, reason: `Invalid rules: ${ruleErrors[0]}` }, message: `Invalid rules: ${ruleErrors[0]}` };
+  }
+  const { moveCost, waitCost, portalCost, portalReusable, laserPeriod, riftRewind } = activeRules;
 
-  printCentered('');
-  printCentered(border);
-  printCentered(title);
-  printCentered(border);
+  const museum = parseMuseum(grid);
+  if (museum.errors.length > 0) {
+    return { valid: false, solved: false, error: { step: -1, reason: `Invalid puzzle: ${museum.errors[0].message}` }, message: `Invalid puzzle: ${museum.errors[0].message}` };
+  }
 
-  grid.forEach((row, idx) => {
-    const displayRow = row.replace(/S/g, 'S ')
-                         .replace(/E/g, 'E ')
-                         .replace(/G/g, 'G ')
-                         .replace(/K/g, 'K ')
-                         .replace(/D/g, 'D ')
-                         .replace(/P/g, 'P ')
-                         .replace(/L/g, 'L ')
-                         .replace(/T/g, 'T ')
-                         .replace(/#/g, '# ')
-                         .replace(/\./g, '. ');
-    const rowText = `| ${idx.toString().padStart(2, '0')} | ${displayRow}`;
-    printCentered(rowText.padEnd(boxWidth - 1) + '|');
-  });
+  const totalGems = museum.gems.length;
+  const allGemsCollected = fullSet(totalGems);
+  const state = new State(museum.start.r, museum.start.c, 0, EMPTY_SET, EMPTY_SET, EMPTY_SET, false);
+
+  const { flags, gemIds, keyIds, doorKeyIds, portals } = museum.index;
+  const cols = museum.cols;
+  const getGemIndex = (r, c) => gemIds[r * cols + c];
+  const getKeyIndex = (r, c) => keyIds[r * cols + c];
+  const getPortal = (r, c) => portals[r * cols + c];
+  const isLaserActive = (r, c, time) => (flags[r * cols + c] & CELL_LASER) !== 0 && time % laserPeriod === 0;
+  const hasTimeRift = (r, c) => (flags[r * cols + c] & CELL_RIFT) !== 0;
+  const collectAt = (r, c) => {
+    const gemIdx = getGemIndex(r, c);
+    if (gemIdx !== -1) state.gemMask |= museum.gems[gemIdx].bit;
+    const keyIdx = getKeyIndex(r, c);
+    if (keyIdx !== -1) state.keyMask |= museum.keys[keyIdx].bit;
+  };
 
-  printCentered(border);
-  printCentered('|' + '  LEGEND:'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '   S = Start    E = Exit    G = Gem'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '   K = Key      D = Door    P = Portal'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '   L = Laser    T = Time Rift  # = Wall'.padEnd(boxWidth - 2) + '|');
-  printCentered(border);
-  printCentered('');
+  const report = (error, stepsReplayed) => {
+    const solved = !error &&
+      state.r === museum.exit.r && state.c === museum.exit.c &&
+      state.gemMask === allGemsCollected;
+    let message;
+    if (error) {
+      message = `Step ${error.step + 1}: ${error.reason}`;
+    } else if (solved) {
+      message = `Valid! Completed in ${state.time} time units.`;
+    } else {
+      message = `Path is legal but ends at (${state.r},${state.c}) with ${countBits(state.gemMask)}/${totalGems} gems.`;
+    }
+    return {
+      valid: !error,
+      solved,
+      time: state.time,
+      position: { r: state.r, c: state.c },
+      gemsCollected: countBits(state.gemMask),
+      totalGems,
+      keysCollected: museum.keys.filter(k => state.keyMask & k.bit).map(k => k.id),
+      portalsUsed: museum.portalChannels.filter(ch => state.portalMask & ch.bit).map(ch => ch.id),
+      riftUsed: state.riftUsed,
+      stepsReplayed,
+      error,
+      message
+    };
+  };
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = normalizePathStep(steps[i]);
+    const fail = reason => report({ step: i, reason }, i);
+
+    if (!step) return fail(`Unrecognised step ${JSON.stringify(steps[i])}`);
+
+    if (step.type === 'move') {
+      let nr, nc;
+      if (step.direction) {
+        if (!MOVE_DELTAS[step.direction]) return fail(`Unknown direction "${step.direction}"`);
+        nr = state.r + MOVE_DELTAS[step.direction][0];
+        nc = state.c + MOVE_DELTAS[step.direction][1];
+      } else if (step.to) {
+        nr = step.to.r;
+        nc = step.to.c;
+        if (Math.abs(nr - state.r) + Math.abs(nc - state.c) !== 1) {
+          return fail(`(${nr},${nc}) is not next to (${state.r},${state.c})`);
+        }
+      } else {
+        return fail('Move has no direction or destination');
+      }
+
+      const newTime = state.time + moveCost;
+      if (nr < 0 || nr >= museum.rows || nc < 0 || nc >= museum.cols) {
+        return fail(`(${nr},${nc}) is outside the museum`);
+      }
+      if (flags[nr * cols + nc] & CELL_WALL) return fail(`(${nr},${nc}) is a wall`);
+      const doorKeyId = doorKeyIds[nr * cols + nc];
+      if (doorKeyId !== -1 && !(state.keyMask & museum.keys[doorKeyId].bit)) {
+        const { label } = museum.keys[doorKeyId];
+        return fail(`Door at (${nr},${nc}) is locked (needs ${label ? `K${label}` : 'its key'})`);
+      }
+      if (isLaserActive(nr, nc, newTime)) return fail(`Laser at (${nr},${nc}) is active at time ${newTime}`);
+
+      state.r = nr;
+      state.c = nc;
+      state.time = newTime;
+      collectAt(nr, nc);
+    } else if (step.type === 'wait') {
+      const newTime = state.time + waitCost;
+      if (isLaserActive(state.r, state.c, newTime)) {
+        return fail(`Laser at (${state.r},${state.c}) is active at time ${newTime}`);
+      }
+      state.time = newTime;
+    } else if (step.type === 'portal') {
+      const portal = getPortal(state.r, state.c);
+      if (!portal) return fail(`No portal entry at (${state.r},${state.c})`);
+      if (!portalReusable && (state.portalMask & museum.portalChannels[portal.channel].bit)) {
+        return fail(`Portal at (${state.r},${state.c}) was already used`);
+      }
+
+      let dest;
+      if (step.to) {
+        dest = portal.targets.find(t => t.r === step.to.r && t.c === step.to.c);
+        if (!dest) return fail(`Portal at (${state.r},${state.c}) does not lead to (${step.to.r},${step.to.c})`);
+      } else if (portal.targets.length === 1) {
+        dest = portal.targets[0];
+      } else {
+        return fail(`Portal at (${state.r},${state.c}) has several destinations; name one`);
+      }
+
+      if (!portalReusable) state.portalMask |= museum.portalChannels[portal.channel].bit;
+      state.r = dest.r;
+      state.c = dest.c;
+      state.time += portalCost;
+      collectAt(dest.r, dest.c);
+    } else {
+      if (!hasTimeRift(state.r, state.c)) return fail(`No time rift at (${state.r},${state.c})`);
+      if (state.riftUsed) return fail('Time rift was already used');
+      if (state.time < riftRewind) return fail(`Time rift needs time >= ${riftRewind} (time is ${state.time})`);
+      state.time -= riftRewind;
+      state.riftUsed = true;
+    }
+  }
+
+  return report(null, steps.length);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// K-BEST PATHS - Ranked alternatives and the number of optimal routes
+// ═══════════════════════════════════════════════════════════════════════════════
+
 /**
- * Logs the path to a file
+ * Finds the K fastest distinct solutions and counts the optimal routes.
+ *
+ * Solutions are distinct action sequences: the same cells visited with a
+ * wait in a different place, or a different portal destination, count as
+ * different solutions. Every state is expanded at most K times, which is
+ * enough to rank the K best because a solution through a slower (K+1)th
+ * arrival at a state can always be beaten by one through a faster arrival.
+ *
+ * The optimal routes are counted on the settled shortest-time table: a
+ * route is optimal if every step reaches its state at that state's minimum
+ * time and it ends at the exit at the optimal time.
+ *
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES
+ * @param {Object} [options] - { k: number of solutions to rank (default 5;
+ *   0 only counts the optimal routes) }
+ * @returns {Object} { time, paths: [{ time, path }], optimalCount, unbounded,
+ *   exact, iterations, statesExplored, message } where optimalCount is a
+ *   BigInt (null when the count hit maxIterations or is unbounded because of
+ *   a zero-cost loop) and exact is false if the ranking hit maxIterations
  */
-function logPathToFile(result, puzzleName = 'puzzle', pathType = 'best') {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const logFileName = `path_${pathType}_${timestamp}.log`;
+function solveTopPaths(grid, rules = {}, options = {}) {
+  const { k = 5 } = options;
+  if (!Number.isInteger(k) || k < 0) {
+    return { time: -1, paths: [], optimalCount: null, errors: [{ message: `k must be an integer >= 0, got ${k}` }], message: `Invalid k: ${k}` };
+  }
+  const { rules: activeRules, errors: ruleErrors } = resolveRules(rules);
+  if (ruleErrors.length > 0) {
+    return { time: -1, paths: [], optimalCount: null, errors: ruleErrors.map(message => ({ message })), message: `Invalid rules: ${ruleErrors[0]}` };
+  }
 
-  let logContent = `Challenge 2 - ${pathType.toUpperCase()} Path Log\n`;
-  logContent += `======================\n`;
-  logContent += `Puzzle: ${puzzleName}\n`;
-  logContent += `Path Type: ${pathType.toUpperCase()}\n`;
-  logContent += `Timestamp: ${new Date().toISOString()}\n`;
-  logContent += `Time: ${result.time}\n`;
-  logContent += `Status: ${result.time !== -1 ? 'SUCCESS' : 'FAILED'}\n`;
-  logContent += `States Explored: ${result.iterations || 'N/A'}\n`;
-  logContent += `======================\n\n`;
+  const museum = parseMuseum(grid);
+  if (museum.errors.length > 0) {
+    return { time: -1, paths: [], optimalCount: null, errors: museum.errors, warnings: museum.warnings, message: `Invalid puzzle: ${museum.errors[0].message}` };
+  }
 
-  if (result.path && result.path.length > 0) {
-    logContent += `PATH (${result.path.length} steps):\n`;
-    logContent += `-----------------------\n`;
-    result.path.forEach((step, idx) => {
-      logContent += `${(idx + 1).toString().padStart(3, '0')}. ${step}\n`;
-    });
+  const allGemsCollected = fullSet(museum.gems.length);
+  const isGoal = state => state.r === museum.exit.r && state.c === museum.exit.c &&
+    state.gemMask === allGemsCollected;
+  const successors = createSuccessors(museum, activeRules);
+  const potential = createRiftPotential(museum, activeRules);
+  const start = new State(museum.start.r, museum.start.c, 0, EMPTY_SET, EMPTY_SET, EMPTY_SET, false);
+
+  const ranking = k > 0
+    ? rankTopWalks(museum, activeRules, { k, start, isGoal, successors, potential })
+    : { paths: [], exact: true, iterations: 0 };
+  const count = k === 0 || ranking.paths.length > 0
+    ? countOptimalRoutes(museum, activeRules, { start, isGoal, successors, potential, optimalTime: k > 0 ? ranking.paths[0].time : null })
+    : { time: -1, count: 0n, unbounded: false, iterations: 0, statesExplored: 0 };
+
+  const time = k > 0 ? (ranking.paths.length > 0 ? ranking.paths[0].time : -1) : count.time;
+  let message;
+  if (time === -1) {
+    message = ranking.exact && count.count !== null ? 'Failed! No valid path exists.' : 'Failed! Search limit reached before any solution.';
+  } else if (count.unbounded) {
+    message = `Best time ${time}; unlimited optimal routes (zero-cost loop)`;
+  } else if (count.count === null) {
+    message = `Best time ${time}; search limit reached while counting optimal routes`;
   } else {
-    logContent += `No path found.\n`;
+    message = `Best time ${time}; ${count.count} optimal route${count.count === 1n ? '' : 's'}` +
+      (count.count === 1n ? ' (unique)' : '');
   }
 
-  fs.writeFileSync(logFileName, logContent);
-  return logFileName;
+  return {
+    time,
+    paths: ranking.paths,
+    optimalCount: count.count,
+    unbounded: count.unbounded,
+    exact: ranking.exact,
+    iterations: ranking.iterations + count.iterations,
+    statesExplored: count.statesExplored,
+    warnings: museum.warnings,
+    message
+  };
 }
 
 /**
- * Finds the WORST (longest) path using modified search
+ * K shortest walks to a goal: states are popped at most K times each, and
+ * goal states end a walk. Walks are linked nodes { state, prev, type }.
  */
-function solveWorstPath(grid) {
-  const museum = parseMuseum(grid);
+function rankTopWalks(museum, rules, { k, start, isGoal, successors, potential }) {
+  const pq = new MinHeap('priority');
+  const pops = new Map(); // state key -> times expanded
+  const { key: stateKey } = createStateKey(museum, rules.laserPeriod);
+  const goals = [];
 
-  if (!museum.start || !museum.exit) {
-    return { time: -1, path: [], message: "Missing start or exit!" };
-  }
+  pq.insert({ state: start, prev: null, type: null, priority: potential(start) });
 
-  const totalGems = museum.gems.length;
-  const allGemsCollected = (1 << totalGems) - 1;
+  let iterations = 0;
+  while (!pq.isEmpty() && iterations < rules.maxIterations) {
+    // Any goal still to come takes at least its priority in time
+    if (goals.length >= k && pq.peek().priority >= goals[k - 1].state.time) break;
 
-  const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
-  const dirNames = ['UP', 'DOWN', 'LEFT', 'RIGHT'];
+    iterations++;
+    const node = pq.extractMin();
+    const key = stateKey(node.state);
+    const popped = pops.get(key) || 0;
+    if (popped >= k) continue;
+    pops.set(key, popped + 1);
+
+    if (isGoal(node.state)) {
+      // Goals arrive by priority, not by time: keep them sorted by time
+      let i = goals.length;
+      while (i > 0 && goals[i - 1].state.time > node.state.time) i--;
+      goals.splice(i, 0, node);
+      continue;
+    }
+
+    const next = successors(node.state);
+    for (let i = 0; i < next.length; i++) {
+      const { type, state } = next[i];
+      if ((pops.get(stateKey(state)) || 0) >= k) continue;
+      pq.insert({ state, prev: node, type, priority: potential(state) });
+    }
+  }
 
-  // Use BFS but track MAXIMUM time to each state
-  const visited = new Map();
-  const parent = new Map();
-  const queue = [];
+  const exact = pq.isEmpty() || (goals.length >= k && pq.peek().priority >= goals[k - 1].state.time);
+  const paths = goals.slice(0, k).map(goal => {
+    const nodes = [];
+    for (let node = goal; node.prev; node = node.prev) nodes.unshift(node);
+    return {
+      time: goal.state.time,
+      path: nodes.map(node => createPathStep(node.type, node.prev.state, node.state, museum))
+    };
+  });
 
-  const initialState = new State(
-    museum.start.r, museum.start.c, 0,
-    0, 0, 0, false
-  );
+  return { paths, exact, iterations };
+}
 
-  queue.push(initialState);
-  visited.set(initialState.hash(), 0);
+/**
+ * Route counts per state key for countOptimalRoutes. Counts are Numbers
+ * while they are exact and BigInts past 2^53; dense keys keep the Numbers
+ * in a paged Float64Array (-1 = the count is a BigInt in the overflow Map).
+ */
+function createRouteCounts(museum, laserPeriod) {
+  const { dense, stateCount } = createStateKey(museum, laserPeriod);
+  const sum = (a, b) => (typeof a === 'number' && typeof b === 'number' && a + b <= Number.MAX_SAFE_INTEGER
+    ? a + b : BigInt(a) + BigInt(b));
+  const big = new Map();
+  if (!dense) {
+    return { get: key => big.get(key), set: (key, count) => big.set(key, count), add: (key, count) => big.set(key, sum(big.get(key), count)) };
+  }
 
-  const getGemIndex = (r, c) => museum.gems.findIndex(g => g.r === r && g.c === c);
-  const getKeyIndex = (r, c) => museum.keys.findIndex(k => k.r === r && k.c === c);
-  const getDoorIndex = (r, c) => museum.doors.findIndex(d => d.r === r && d.c === c);
-  const isLaserActive = (r, c, time) => {
-    const isLaser = museum.lasers.some(l => l.r === r && l.c === c);
-    return isLaser && time % 3 === 0;
+  const small = createPagedArray(Float64Array, stateCount);
+  const get = key => {
+    const count = small.get(key);
+    return count === -1 ? big.get(key) : count;
   };
-  const hasTimeRift = (r, c) => museum.timeRifts.some(t => t.r === r && t.c === c);
-  const getPortalPairIndex = (r, c) => {
-    let idx = 0;
-    for (const [key, _] of museum.portals) {
-      const [pr, pc] = key.split(',').map(Number);
-      if (pr === r && pc === c) return Math.floor(idx / 2);
-      idx++;
-    }
-    return -1;
+  const set = (key, count) => {
+    if (typeof count === 'number') {
+      small.set(key, count);
+    } else {
+      small.set(key, -1);
+      big.set(key, count);
+    }
   };
-  const isValidMove = (r, c, keyMask) => {
-    if (r < 0 || r >= museum.rows || c < 0 || c >= museum.cols) return false;
-    if (museum.grid[r][c] === '#') return false;
-    const doorIdx = getDoorIndex(r, c);
-    if (doorIdx !== -1 && !(keyMask & (1 << doorIdx))) return false;
-    return true;
+  return { get, set, add: (key, count) => set(key, sum(get(key), count)) };
+}
+
+/**
+ * Counts the walks that reach the exit at the optimal time (found here when
+ * optimalTime is null) while settling states with Dijkstra. A step is tight
+ * when it reaches its state at that state's minimum time, and a state's count
+ * is the sum over its tight incoming steps. Steps that keep the priority
+ * equal (free teleports and the rift) use up a portal or the rift, so ties
+ * are broken by how many of those a state has used: every tight predecessor
+ * is then settled, with its final count, before the state itself. Reusable
+ * free portals can loop forever, which makes the count unbounded.
+ */
+function countOptimalRoutes(museum, rules, { start, isGoal, successors, potential, optimalTime = null }) {
+  const pq = new MinHeap('priority');
+  const table = createStateTable(museum, rules.laserPeriod);
+  const tieScale = museum.portalChannels.length + 2;
+  const push = state => {
+    state.priority = potential(state) + (countBits(state.portalMask) + (state.riftUsed ? 1 : 0)) / tieScale;
+    pq.insert(state);
   };
 
-  let worstSolution = null;
-  let iterations = 0;
-  const maxIterations = 500000;
-  const maxTime = 200; // Cap to prevent infinite exploration
+  // An entry portal whose channel has another entry can teleport back and forth
+  const { portals } = museum.index;
+  const freeLoops = rules.portalReusable && rules.portalCost === 0;
+  const loopsAt = state => {
+    const portal = portals[state.r * museum.cols + state.c];
+    return portal !== null && portal.targets.some(t => portals[t.r * museum.cols + t.c] !== null);
+  };
 
-  while (queue.length > 0 && iterations < maxIterations) {
-    iterations++;
-    const current = queue.shift();
+  const counts = createRouteCounts(museum, rules.laserPeriod); // Routes reaching each state at its minimum time
+  const looping = new Set(); // state keys some of whose routes can loop forever
+  const goals = [];
 
-    if (current.time > maxTime) continue;
+  const startKey = table.key(start);
+  push(start);
+  table.set(startKey, 0, null);
+  counts.set(startKey, 1);
 
-    // Check win condition
-    if (current.r === museum.exit.r &&
-        current.c === museum.exit.c &&
-        current.gemMask === allGemsCollected) {
-      if (!worstSolution || current.time > worstSolution.time) {
-        const path = reconstructPath(parent, current.hash(), initialState.hash());
-        worstSolution = {
-          time: current.time,
-          path: path,
-          iterations: iterations
-        };
-      }
+  // Priority never decreases along a walk and a goal at the optimal time has
+  // priority <= optimalTime, so every state of an optimal route gets settled
+  let iterations = 0;
+  while (!pq.isEmpty() && (optimalTime === null || Math.floor(pq.peek().priority) <= optimalTime)) {
+    if (iterations >= rules.maxIterations) {
+      return { time: optimalTime === null ? -1 : optimalTime, count: null, unbounded: false, iterations, statesExplored: table.size };
+    }
+    iterations++;
+    const current = pq.extractMin();
+    const currentKey = table.key(current);
+    if (table.time(currentKey) < current.time) continue;
+    if (isGoal(current)) {
+      // A goal popped before a pending rewind may not be the fastest
+      goals.push(currentKey);
+      if (optimalTime === null || current.time < optimalTime) optimalTime = current.time;
       continue;
     }
 
-    // Generate next states - explore all valid moves
-    for (let d = 0; d < 4; d++) {
-      const [dr, dc] = directions[d];
-      const nr = current.r + dr;
-      const nc = current.c + dc;
-      const newTime = current.time + 1;
+    if (freeLoops && loopsAt(current)) looping.add(currentKey);
+    const routes = counts.get(currentKey);
+    const loops = freeLoops && looping.has(currentKey);
+
+    const next = successors(current);
+    for (let i = 0; i < next.length; i++) {
+      const { type, state } = next[i];
+      const key = table.key(state);
+      if (!table.has(key) || table.time(key) > state.time) {
+        table.set(key, state.time, currentKey, type, state);
+        counts.set(key, routes);
+        if (loops) looping.add(key); else if (freeLoops) looping.delete(key);
+        push(state);
+      } else if (table.time(key) === state.time) {
+        counts.add(key, routes);
+        if (loops) looping.add(key);
+      }
+    }
+  }
 
-      if (!isValidMove(nr, nc, current.keyMask)) continue;
-      if (isLaserActive(nr, nc, newTime)) continue;
+  if (optimalTime === null) {
+    return { time: -1, count: 0n, unbounded: false, iterations, statesExplored: table.size };
+  }
 
-      let newGemMask = current.gemMask;
-      let newKeyMask = current.keyMask;
+  const optimalGoals = goals.filter(key => table.time(key) === optimalTime);
+  const unbounded = optimalGoals.some(key => looping.has(key));
+  const count = unbounded ? null : optimalGoals.reduce((sum, key) => sum + BigInt(counts.get(key)), 0n);
+  return { time: optimalTime, count, unbounded, iterations, statesExplored: table.size };
+}
 
-      const gemIdx = getGemIndex(nr, nc);
-      if (gemIdx !== -1) newGemMask |= (1 << gemIdx);
-      const keyIdx = getKeyIndex(nr, nc);
-      if (keyIdx !== -1) newKeyMask |= (1 << keyIdx);
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUZZLE GENERATOR - Random solvable levels from a seed
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32): the same seed always gives
+ * the same sequence, so a generated level can be rebuilt from its seed
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Random number generator
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-      const newState = new State(nr, nc, newTime, newGemMask, newKeyMask, current.portalMask, current.riftUsed);
-      const newHash = newState.hash();
-      const currentHash = current.hash();
+const GENERATOR_DEFAULTS = {
+  rows: 8,              // Grid height
+  cols: 8,              // Grid width
+  gems: 2,              // G cells
+  keys: 0,              // Numbered key/door pairs (K1/D1 .. K9/D9)
+  portals: 0,           // Labeled portal pairs (Pa .. P9)
+  lasers: 2,            // L cells
+  rifts: 0,             // T cells
+  walls: 0.2,           // Chance that each remaining cell is a wall
+  seed: null,           // 32-bit seed (random when null)
+  targetMinTime: null,  // Best time n, or band [min, max] (any when null)
+  maxAttempts: 200,     // Grids to try before giving up
+  rules: {}             // Rule overrides the level is solved with
+};
 
-      // For worst path: visit if we haven't been here OR if this path takes LONGER
-      if (!visited.has(newHash) || visited.get(newHash) < newTime) {
-        visited.set(newHash, newTime);
-        queue.push(newState);
-        parent.set(newHash, { prevHash: currentHash, action: `Move ${dirNames[d]} to (${nr},${nc})` });
-      }
+const PORTAL_LABELS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Fills in GENERATOR_DEFAULTS and checks the options fit on the grid
+ * @param {Object} [options] - Partial generator options
+ * @returns {{ options: Object, errors: string[] }} targetMinTime as [min, max] or null
+ */
+function resolveGeneratorOptions(options = {}) {
+  const resolved = { ...GENERATOR_DEFAULTS, ...options };
+  const errors = [];
+  const ranges = {
+    rows: [1, 200], cols: [1, 200], gems: [0, Infinity], keys: [0, 9],
+    portals: [0, PORTAL_LABELS.length], lasers: [0, Infinity], rifts: [0, Infinity], maxAttempts: [1, Infinity]
+  };
+
+  Object.keys(options).forEach(name => {
+    if (!(name in GENERATOR_DEFAULTS)) errors.push(`Unknown generator option "${name}"`);
+  });
+  Object.keys(ranges).forEach(name => {
+    const [min, max] = ranges[name];
+    if (!Number.isInteger(resolved[name]) || resolved[name] < min || resolved[name] > max) {
+      errors.push(max === Infinity ? `${name} must be an integer >= ${min}` : `${name} must be an integer from ${min} to ${max}`);
     }
+  });
+  if (typeof resolved.walls !== 'number' || !(resolved.walls >= 0 && resolved.walls < 1)) {
+    errors.push('walls must be a number from 0 up to (not including) 1');
+  }
+  if (resolved.seed === null) {
+    resolved.seed = Math.floor(Math.random() * 2 ** 31);
+  } else if (!Number.isInteger(resolved.seed) || resolved.seed < 0 || resolved.seed >= 2 ** 32) {
+    errors.push('seed must be an integer from 0 to 4294967295');
+  }
+
+  let target = resolved.targetMinTime;
+  if (typeof target === 'number') target = [target, target];
+  if (target !== null && !(Array.isArray(target) && target.length === 2 &&
+      target.every(Number.isInteger) && target[0] <= target[1])) {
+    errors.push('targetMinTime must be an integer or a [min, max] pair of integers');
+  }
+  resolved.targetMinTime = target;
 
-    // Portal
-    const portalKey = `${current.r},${current.c}`;
-    if (museum.portals.has(portalKey)) {
-      const portalIdx = getPortalPairIndex(current.r, current.c);
-      if (portalIdx !== -1 && !(current.portalMask & (1 << portalIdx))) {
-        const dest = museum.portals.get(portalKey);
-        const newPortalMask = current.portalMask | (1 << portalIdx);
-        const newState = new State(dest.r, dest.c, current.time, current.gemMask, current.keyMask, newPortalMask, current.riftUsed);
+  const itemCells = 2 + resolved.gems + 2 * resolved.keys + 2 * resolved.portals + resolved.lasers + resolved.rifts;
+  if (errors.length === 0 && itemCells > resolved.rows * resolved.cols) {
+    errors.push(`${itemCells} cells of items do not fit on a ${resolved.rows}x${resolved.cols} grid`);
+  }
+  errors.push(...resolveRules(resolved.rules).errors.map(err => `Invalid rule: ${err}`));
 
-        const gemIdx = getGemIndex(dest.r, dest.c);
-        if (gemIdx !== -1) newState.gemMask |= (1 << gemIdx);
-        const keyIdx = getKeyIndex(dest.r, dest.c);
-        if (keyIdx !== -1) newState.keyMask |= (1 << keyIdx);
+  return { options: resolved, errors };
+}
 
-        const newHash = newState.hash();
-        if (!visited.has(newHash) || visited.get(newHash) < current.time) {
-          visited.set(newHash, current.time);
-          queue.push(newState);
-          parent.set(newHash, { prevHash: current.hash(), action: `PORTAL to (${dest.r},${dest.c})` });
-        }
-      }
+/**
+ * Places every item on a random free cell and turns some of the rest into walls
+ */
+function randomGrid(options, random) {
+  const { rows, cols, gems, keys, portals, lasers, rifts, walls } = options;
+  const items = ['S', 'E'];
+  for (let i = 0; i < gems; i++) items.push('G');
+  for (let i = 1; i <= keys; i++) items.push(`K${i}`, `D${i}`);
+  for (let i = 0; i < portals; i++) items.push(`P${PORTAL_LABELS[i]}`, `P${PORTAL_LABELS[i]}`);
+  for (let i = 0; i < lasers; i++) items.push('L');
+  for (let i = 0; i < rifts; i++) items.push('T');
+
+  // Shuffle the cells (Fisher-Yates) and hand out items in that order
+  const cells = Array.from({ length: rows * cols }, (_, idx) => idx);
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+
+  const grid = new Array(rows * cols).fill('.');
+  cells.forEach((cell, i) => {
+    if (i < items.length) {
+      grid[cell] = items[i];
+    } else if (random() < walls) {
+      grid[cell] = '#';
     }
+  });
+
+  return Array.from({ length: rows }, (_, r) => grid.slice(r * cols, (r + 1) * cols).join(''));
+}
+
+/**
+ * Generates a random level that solveQuantumHeist can solve, retrying until
+ * the best time falls inside targetMinTime. All attempts draw from one
+ * seeded sequence, so the same options always give the same level.
+ * @param {Object} [options] - See GENERATOR_DEFAULTS
+ * @returns {Object} { puzzle, attempts, result, message } where puzzle is a
+ *   puzzle file entry { name, grid, rules, expected: { minTime }, seed } and
+ *   result the best-path solution, or puzzle null when no attempt fitted
+ *   (with errors for invalid options)
+ */
+function generatePuzzle(options = {}) {
+  const { options: resolved, errors } = resolveGeneratorOptions(options);
+  if (errors.length > 0) {
+    return { puzzle: null, attempts: 0, result: null, errors: errors.map(message => ({ message })), message: `Invalid options: ${errors[0]}` };
   }
 
-  if (worstSolution) {
-    worstSolution.message = `Worst path: ${worstSolution.time} time units.`;
-    return worstSolution;
+  const { rows, cols, seed, targetMinTime, maxAttempts, rules } = resolved;
+  const random = createRandom(seed);
+  const inBand = time => time !== -1 &&
+    (targetMinTime === null || (time >= targetMinTime[0] && time <= targetMinTime[1]));
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const grid = randomGrid(resolved, random);
+    const result = solveQuantumHeist(grid, rules);
+    if (!inBand(result.time)) continue;
+
+    return {
+      puzzle: {
+        name: `Generated ${rows}x${cols} (seed ${seed})`,
+        grid,
+        rules,
+        expected: { minTime: result.time },
+        seed
+      },
+      attempts: attempt,
+      result,
+      message: `Best time ${result.time} after ${attempt} attempt${attempt === 1 ? '' : 's'}`
+    };
   }
 
-  return { time: -1, path: [], iterations, message: "No path found." };
+  const band = targetMinTime === null ? '' :
+    targetMinTime[0] === targetMinTime[1] ? ` with best time ${targetMinTime[0]}` :
+      ` with best time ${targetMinTime[0]}-${targetMinTime[1]}`;
+  return { puzzle: null, attempts: maxAttempts, result: null, message: `No solvable grid${band} in ${maxAttempts} attempts` };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIFFICULTY SCORING - Orders puzzles from easy to hard by solver telemetry
+// ═══════════════════════════════════════════════════════════════════════════════
+
 /**
- * Prints solution details (centered)
+ * Weight of each difficulty factor. Every factor is scaled to 0..1, where
+ * 1 is hard; factors that cannot be measured are left out and the others
+ * keep their relative weight.
  */
-function printSolution(result, totalGems = 0, puzzleName = 'puzzle', worstResult = null) {
-  const boxWidth = 50;
-  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+const DIFFICULTY_WEIGHTS = {
+  searchEffort: 0.3,  // States Dijkstra reaches before it settles the best time (log scale, 1M = 1)
+  detour: 0.2,        // Share of the best time not explained by the straight line S -> E
+  mechanics: 0.25,    // Share of waits, portals, the rift and doors the best path needs
+  uniqueness: 0.1,    // 1 for a single near-optimal route, lower the more there are
+  spread: 0.15        // (worst - best) / worst: how much a bad route costs
+};
 
-  // Log best path to file
-  let bestLogFile = null;
-  if (result.path && result.path.length > 0) {
-    bestLogFile = logPathToFile(result, puzzleName, 'best');
+const DIFFICULTY_LABELS = [[30, 'Easy'], [45, 'Medium'], [60, 'Hard'], [Infinity, 'Expert']];
+
+// A route is near-optimal within this share of the best time (at least one move)
+const NEAR_OPTIMAL_SLACK = 0.1;
+
+/**
+ * Scores a puzzle's difficulty from 0 (trivial) to 100 from solver telemetry.
+ * Only the best path is solved when missing; the other factors come from the
+ * results the caller already has and are left out without them. searchEffort
+ * counts Dijkstra's states, so an A* best path needs its Dijkstra baseline.
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES
+ * @param {Object} [telemetry] - { best, worst, top, baseline } results of
+ *   solveQuantumHeist, solveWorstPath, solveTopPaths and, for an A* best
+ *   path, the Dijkstra solveQuantumHeist run
+ * @returns {Object} { score, label, factors, mechanics, nearOptimal } where
+ *   factors holds each factor's 0..1 value (null when not measured),
+ *   mechanics lists the mechanics the best path uses and nearOptimal is the
+ *   number of routes within NEAR_OPTIMAL_SLACK of the best time (null
+ *   without top); score is null for unsolvable puzzles
+ */
+function scoreDifficulty(grid, rules = {}, telemetry = {}) {
+  const best = telemetry.best || solveQuantumHeist(grid, rules);
+  if (best.time === -1) {
+    return { score: null, label: 'Unsolvable', factors: null, mechanics: [], nearOptimal: null };
   }
 
-  // Log worst path to file
-  let worstLogFile = null;
-  if (worstResult && worstResult.path && worstResult.path.length > 0) {
-    worstLogFile = logPathToFile(worstResult, puzzleName, 'worst');
+  const museum = parseMuseum(grid);
+  const { rules: activeRules } = resolveRules(rules);
+  const { doorKeyIds } = museum.index;
+
+  const mechanics = ['wait', 'portal', 'rift'].filter(type => best.path.some(step => step.type === type));
+  if (best.path.some(step => doorKeyIds[step.to.r * museum.cols + step.to.c] !== -1)) {
+    mechanics.push('door');
   }
 
-  printCentered(border);
-  if (result.time !== -1) {
-    printCentered('|' + `  Best Time: ${result.time}`.padEnd(boxWidth - 2) + '|');
-    if (worstResult && worstResult.time !== -1) {
-      printCentered('|' + `  Worst Time: ${worstResult.time}`.padEnd(boxWidth - 2) + '|');
+  const straight = (Math.abs(museum.start.r - museum.exit.r) + Math.abs(museum.start.c - museum.exit.c)) * activeRules.moveCost;
+  const dijkstra = best.search === 'astar' ? telemetry.baseline : best;
+  const top = telemetry.top && telemetry.top.time === best.time ? telemetry.top : null;
+  const worst = telemetry.worst && telemetry.worst.time !== -1 ? telemetry.worst : null;
+  const clamp = value => Math.min(1, Math.max(0, value));
+
+  // Ranked solutions inside the window, or every optimal route if there are
+  // more of those than were ranked
+  let nearOptimal = null;
+  if (top && !top.unbounded) {
+    const window = best.time + Math.max(activeRules.moveCost, Math.ceil(best.time * NEAR_OPTIMAL_SLACK));
+    const ranked = top.paths.filter(solution => solution.time <= window).length;
+    const optimal = top.optimalCount === null ? 0 : Number(top.optimalCount);
+    nearOptimal = Math.max(ranked, optimal) || null;
+  }
+
+  const factors = {
+    searchEffort: dijkstra ? clamp(Math.log10(Math.max(1, dijkstra.statesExplored)) / 6) : null,
+    detour: best.time > 0 ? clamp(1 - straight / best.time) : 0,
+    mechanics: mechanics.length / 4,
+    uniqueness: top && top.unbounded ? 0 : nearOptimal === null ? null : 1 / (1 + Math.log10(nearOptimal)),
+    spread: worst && worst.time > 0 ? clamp((worst.time - best.time) / worst.time) : null
+  };
+
+  let total = 0;
+  let weight = 0;
+  Object.keys(DIFFICULTY_WEIGHTS).forEach(name => {
+    if (factors[name] === null) return;
+    factors[name] = Number(factors[name].toFixed(2));
+    total += factors[name] * DIFFICULTY_WEIGHTS[name];
+    weight += DIFFICULTY_WEIGHTS[name];
+  });
+
+  const score = Math.round((total / weight) * 100);
+  const label = DIFFICULTY_LABELS.find(([limit]) => score < limit)[1];
+  return { score, label, factors, mechanics, nearOptimal };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UNSOLVABILITY EXPLANATION - Why a puzzle has no solution
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cells the player can stand on when time is ignored: walls block, doors
+ * block unless canOpen(keyId), lasers never block and portals always work.
+ * With collectKeys, keys picked up on the way open their doors too.
+ * @returns {Uint8Array} 1 per reachable cell (index r * cols + c)
+ */
+function floodCells(museum, canOpen, collectKeys = false) {
+  const { flags, keyIds, doorKeyIds, portals } = museum.index;
+  const cols = museum.cols;
+  const held = new Set();
+  const open = keyId => canOpen(keyId) || held.has(keyId);
+
+  let reached;
+  let grew = true;
+  while (grew) {
+    // Flood again whenever a new key was found, until no more doors open
+    grew = false;
+    reached = new Uint8Array(museum.rows * cols);
+    const queue = [museum.start.r * cols + museum.start.c];
+    reached[queue[0]] = 1;
+    for (let i = 0; i < queue.length; i++) {
+      const cell = queue[i];
+      const r = Math.floor(cell / cols);
+      const c = cell % cols;
+      if (collectKeys && keyIds[cell] !== -1 && !held.has(keyIds[cell])) {
+        held.add(keyIds[cell]);
+        grew = true;
+      }
+
+      const next = [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]];
+      if (portals[cell]) portals[cell].targets.forEach(t => next.push([t.r, t.c]));
+      next.forEach(([nr, nc]) => {
+        if (nr < 0 || nr >= museum.rows || nc < 0 || nc >= cols) return;
+        const n = nr * cols + nc;
+        if (reached[n] || (flags[n] & CELL_WALL)) return;
+        if (doorKeyIds[n] !== -1 && !open(doorKeyIds[n])) return;
+        reached[n] = 1;
+        queue.push(n);
+      });
     }
-    if (totalGems > 0) {
-      printCentered('|' + `  Gems: ${totalGems}/${totalGems} collected`.padEnd(boxWidth - 2) + '|');
+  }
+  return reached;
+}
+
+/**
+ * Explains why a puzzle has no solution. Explores every state the solver
+ * could reach, then compares the cells it reached with two floods that
+ * ignore time: one where keys open their doors and one with every door
+ * open. A gem or exit missing from both is walled off, one missing only
+ * when doors stay shut is locked in, and one the floods reach but the
+ * solver does not is ruled out by laser timing or one-use portals.
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES
+ * @returns {Object} { solvable, reasons: [{ kind, r, c, message }],
+ *   reachability, message } where kind is 'walled-off', 'locked', 'door',
+ *   'key-behind-door', 'timing', 'combination', 'limit' or 'invalid' and
+ *   reachability has one row per grid row: 'o' reached, 'x' not reached,
+ *   '#' wall
+ */
+function explainUnsolvable(grid, rules = {}) {
+  const { rules: activeRules, errors: ruleErrors } = resolveRules(rules);
+  const museum = parseMuseum(grid);
+  const invalid = [...ruleErrors.map(message => ({ r: null, c: null, message })), ...museum.errors];
+  if (invalid.length > 0) {
+    const reasons = invalid.map(err => ({ kind: 'invalid', r: err.r, c: err.c, message: err.message }));
+    return { solvable: false, reasons, reachability: [], message: `Invalid puzzle: ${reasons[0].message}` };
+  }
+
+  const cols = museum.cols;
+  const cellOf = ({ r, c }) => r * cols + c;
+  const allGemsCollected = fullSet(museum.gems.length);
+
+  // Every cell any reachable state stands on (the solver's full search space)
+  const successors = createSuccessors(museum, activeRules);
+  const { key: stateKey } = createStateKey(museum, activeRules.laserPeriod);
+  const start = new State(museum.start.r, museum.start.c, 0, EMPTY_SET, EMPTY_SET, EMPTY_SET, false);
+  const seen = new Set([stateKey(start)]);
+  const queue = [start];
+  const reached = new Uint8Array(museum.rows * cols);
+  let solvable = false;
+  let iterations = 0;
+  for (let i = 0; i < queue.length && iterations < activeRules.maxIterations; i++) {
+    iterations++;
+    const state = queue[i];
+    reached[cellOf(state)] = 1;
+    if (state.r === museum.exit.r && state.c === museum.exit.c && state.gemMask === allGemsCollected) {
+      solvable = true;
+      continue;
     }
-    printCentered('|' + '  Status: SUCCESS'.padEnd(boxWidth - 2) + '|');
-    if (bestLogFile) {
-      printCentered('|' + `  Best path: ${bestLogFile}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+    successors(state).forEach(({ state: next }) => {
+      const key = stateKey(next);
+      if (!seen.has(key)) {
+        seen.add(key);
+        queue.push(next);
+      }
+    });
+  }
+
+  const reachability = [];
+  for (let r = 0; r < museum.rows; r++) {
+    let row = '';
+    for (let c = 0; c < cols; c++) {
+      row += reached[r * cols + c] ? 'o' : (museum.index.flags[r * cols + c] & CELL_WALL) ? '#' : 'x';
     }
-    if (worstLogFile) {
-      printCentered('|' + `  Worst path: ${worstLogFile}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+    reachability.push(row);
+  }
+  if (solvable) {
+    return { solvable: true, reasons: [], reachability, message: 'The puzzle can be solved.' };
+  }
+
+  const reasons = [];
+  const limited = iterations >= activeRules.maxIterations;
+  if (limited) {
+    reasons.push({ kind: 'limit', r: null, c: null, message: `Search limit of ${activeRules.maxIterations} states reached; the map below is partial` });
+  }
+
+  const allOpen = floodCells(museum, () => true);
+  const withKeys = floodCells(museum, () => false, true);
+  const keyName = key => `K${key.label || ''}`;
+  const doorName = door => `D${door.label || ''}`;
+  const targets = [
+    ...museum.gems.map(gem => ({ ...gem, what: 'Gem' })),
+    { ...museum.exit, what: 'Exit' }
+  ].filter(target => !reached[cellOf(target)]);
+
+  targets.forEach(({ r, c, what }) => {
+    const cell = r * cols + c;
+    if (!allOpen[cell]) {
+      reasons.push({ kind: 'walled-off', r, c, message: `${what} at (${r},${c}) is walled off from the start` });
+    } else if (!withKeys[cell]) {
+      reasons.push({ kind: 'locked', r, c, message: `${what} at (${r},${c}) is only reachable through a locked door` });
+    } else if (!limited) {
+      reasons.push({ kind: 'timing', r, c, message: `${what} at (${r},${c}) is on the open map, but laser timing and one-use portals rule out every route to it` });
     }
-  } else {
-    printCentered('|' + '  Status: FAILED'.padEnd(boxWidth - 2) + '|');
+  });
+
+  // Locked doors on the edge of the reachable area, with their keys
+  const lockedTargets = targets.filter(target => allOpen[cellOf(target)] && !withKeys[cellOf(target)]);
+  const edgeDoors = museum.doors.filter(door => !withKeys[cellOf(door)] && [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dr, dc]) => {
+    const r = door.r + dr;
+    const c = door.c + dc;
+    return r >= 0 && r < museum.rows && c >= 0 && c < cols && withKeys[r * cols + c];
+  }));
+  const opensTarget = door => {
+    const flood = floodCells(museum, keyId => keyId === door.keyId, true);
+    return lockedTargets.some(target => flood[cellOf(target)]);
+  };
+  const blocking = edgeDoors.filter(opensTarget);
+  (blocking.length > 0 || lockedTargets.length === 0 ? blocking : edgeDoors).forEach(door => {
+    const key = museum.keys[door.keyId];
+    const behindOwnDoor = !allOpen[cellOf(key)] ? false :
+      floodCells(museum, keyId => keyId === door.keyId, true)[cellOf(key)] === 1;
+    if (behindOwnDoor) {
+      reasons.push({ kind: 'key-behind-door', r: key.r, c: key.c, message: `Key ${keyName(key)} at (${key.r},${key.c}) is locked behind its own door ${doorName(door)} at (${door.r},${door.c})` });
+    } else {
+      reasons.push({ kind: 'door', r: door.r, c: door.c, message: `Door ${doorName(door)} at (${door.r},${door.c}) blocks every route; its key ${keyName(key)} at (${key.r},${key.c}) cannot be reached` });
+    }
+  });
+
+  if (reasons.length === 0) {
+    reasons.push({ kind: 'combination', r: null, c: null, message: 'Every gem and the exit can be reached, but no single route collects all gems and then reaches the exit' });
   }
-  printCentered(border);
-  printCentered('');
+
+  return { solvable: false, reasons, reachability, message: reasons[0].message };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECTION 6: TEST CASES
+// PATH DIFF - Where two routes through the same museum part ways
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const testCases = [
-  {
-    name: "Test 1: Simple Path (No obstacles)",
-    grid: [
-      "S..G",
-      "....",
-      "....",
-      "...E"
-    ],
-    expected: { minTime: 6 } // Right to gem, down to exit
-  },
-  {
-    name: "Test 2: Key and Door",
-    grid: [
-      "S.K.",
-      "....",
-      ".D.G",
-      "...E"
-    ],
-    expected: { minTime: 8 } // Must get key first
-  },
-  {
-    name: "Test 3: Portal Shortcut",
+// Largest LCS table diffPaths builds (cells); longer routes are one segment
+const DIFF_TABLE_LIMIT = 20000000;
+
+/**
+ * Compares two routes (usually best and worst) like a text diff: the
+ * longest common subsequence of the cells they stand on after each step
+ * anchors the stretches they share, and every stretch in between is a
+ * segment where they diverge.
+ * @param {string[]} grid - The museum grid
+ * @param {Object[]} bestPath - Structured steps of the first route
+ * @param {Object[]} worstPath - Structured steps of the second route
+ * @returns {Object} { segments: [{ shared, start, end, best, worst, delta }]
+ *   where best/worst are { fromStep, toStep, time } and delta is the worst
+ *   segment's time minus the best's, divergences: [{ r, c, bestStep,
+ *   worstStep }] where the routes split, cells: per-cell marks ('both',
+ *   'best', 'worst' or null), bestTime, worstTime }
+ */
+function diffPaths(grid, bestPath, worstPath) {
+  const museum = parseMuseum(grid);
+  const trace = path => ({
+    cells: [museum.start, ...path.map(step => step.to)],
+    times: [0, ...path.map(step => step.time)]
+  });
+  const best = trace(bestPath);
+  const worst = trace(worstPath);
+  const n = best.cells.length;
+  const m = worst.cells.length;
+  const same = (i, j) => best.cells[i].r === worst.cells[j].r && best.cells[i].c === worst.cells[j].c;
+
+  // lcs[i][j] = common subsequence length of best[i..] and worst[j..]
+  let pairs = [[0, 0], [n - 1, m - 1]];
+  if ((n + 1) * (m + 1) <= DIFF_TABLE_LIMIT) {
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => lcs[i * (m + 1) + j];
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = same(i, j) ? 1 + at(i + 1, j + 1) : Math.max(at(i + 1, j), at(i, j + 1));
+      }
+    }
+    pairs = [];
+    for (let i = 0, j = 0; i < n && j < m;) {
+      if (same(i, j)) {
+        pairs.push([i, j]);
+        i++;
+        j++;
+      } else if (at(i + 1, j) >= at(i, j + 1)) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  // Consecutive matched steps form a shared segment, gaps a diverged one
+  const segments = [];
+  for (let k = 0; k + 1 < pairs.length; k++) {
+    const [i1, j1] = pairs[k];
+    const [i2, j2] = pairs[k + 1];
+    const shared = i2 === i1 + 1 && j2 === j1 + 1;
+    const last = segments[segments.length - 1];
+    if (shared && last && last.shared) {
+      last.end = { r: best.cells[i2].r, c: best.cells[i2].c };
+      last.best.toStep = i2;
+      last.worst.toStep = j2;
+    } else {
+      segments.push({
+        shared,
+        start: { r: best.cells[i1].r, c: best.cells[i1].c },
+        end: { r: best.cells[i2].r, c: best.cells[i2].c },
+        best: { fromStep: i1, toStep: i2 },
+        worst: { fromStep: j1, toStep: j2 }
+      });
+    }
+  }
+  segments.forEach(segment => {
+    segment.best.time = best.times[segment.best.toStep] - best.times[segment.best.fromStep];
+    segment.worst.time = worst.times[segment.worst.toStep] - worst.times[segment.worst.fromStep];
+    segment.delta = segment.worst.time - segment.best.time;
+  });
+
+  const cells = museum.grid.map(row => row.map(() => null));
+  best.cells.forEach(({ r, c }) => { cells[r][c] = 'best'; });
+  worst.cells.forEach(({ r, c }) => { cells[r][c] = cells[r][c] === 'best' || cells[r][c] === 'both' ? 'both' : 'worst'; });
+
+  return {
+    segments,
+    divergences: segments.filter(segment => !segment.shared).map(segment => ({
+      ...segment.start, bestStep: segment.best.fromStep, worstStep: segment.worst.fromStep
+    })),
+    cells,
+    bestTime: best.times[n - 1],
+    worstTime: worst.times[m - 1]
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 5: VISUALIZATION (CENTERED OUTPUT)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Gets terminal width, with fallback
+ */
+function getTerminalWidth() {
+  return process.stdout.columns || 80;
+}
+
+/**
+ * Centers a line of text in the terminal
+ */
+function centerText(text) {
+  const width = getTerminalWidth();
+  const textLength = text.replace(/\x1b\[[0-9;]*m/g, '').length; // Strip ANSI codes for length calc
+  const padding = Math.max(0, Math.floor((width - textLength) / 2));
+  return ' '.repeat(padding) + text;
+}
+
+/**
+ * Prints centered line
+ */
+function printCentered(text) {
+  console.log(centerText(text));
+}
+
+// ANSI colour per cell kind (visualizeMuseum with colour on)
+const CELL_COLORS = {
+  start: '1;32', exit: '1;32', gem: '32', key: '36', door: '33', portal: '35', laser: '31',
+  rift: '34', wall: '2', route: '93', pickup: '1;92', jump: '1;95', rewind: '1;94'
+};
+const ROUTE_ARROWS = { UP: '^', DOWN: 'v', LEFT: '<', RIGHT: '>' };
+
+/**
+ * Colour is on for a terminal unless NO_COLOR is set (https://no-color.org)
+ */
+function useColor() {
+  return !!process.stdout.isTTY && process.env.NO_COLOR === undefined;
+}
+
+/**
+ * Kind of a plain grid cell, for colouring
+ */
+function cellKind(cell) {
+  const kinds = { S: 'start', E: 'exit', G: 'gem', K: 'key', D: 'door', P: 'portal', O: 'portal', L: 'laser', T: 'rift', '#': 'wall' };
+  return kinds[cell[0]] || null;
+}
+
+/**
+ * Marks a solved route on the grid: an arrow on each empty cell a move
+ * leaves (the last move wins), ~ on the portal a jump starts from, R on the
+ * rift that rewinds, and the order in which gems and keys are picked up
+ * @returns {Object} { marks: per-cell { text, kind } or null, pickups, jumps, rewinds }
+ */
+function traceRoute(museum, path) {
+  const marks = museum.grid.map(row => row.map(() => null));
+  const pickups = [];
+  const jumps = [];
+  const rewinds = [];
+  let gems = 0;
+  let time = 0;
+
+  path.forEach(step => {
+    const { type, from, to } = step;
+    if (type === 'move' && museum.grid[from.r][from.c] === '.') {
+      const direction = to.r < from.r ? 'UP' : to.r > from.r ? 'DOWN' : to.c < from.c ? 'LEFT' : 'RIGHT';
+      marks[from.r][from.c] = { text: ROUTE_ARROWS[direction], kind: 'route' };
+    } else if (type === 'portal') {
+      marks[from.r][from.c] = { text: '~', kind: 'jump' };
+      jumps.push({ from, to, label: museum.grid[from.r][from.c] });
+    } else if (type === 'rift') {
+      marks[from.r][from.c] = { text: 'R', kind: 'rewind' };
+      rewinds.push({ r: from.r, c: from.c, from: time, to: step.time });
+    }
+
+    const item = step.gemsCollected > gems ? 'G' : step.keyCollected !== null ? museum.grid[to.r][to.c] : null;
+    if (item) {
+      pickups.push({ r: to.r, c: to.c, item });
+      marks[to.r][to.c] = { text: String(pickups.length), kind: 'pickup' };
+    }
+    gems = step.gemsCollected;
+    time = step.time;
+  });
+
+  return { marks, pickups, jumps, rewinds };
+}
+
+/**
+ * Pretty prints the museum grid with legend (centered)
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [options] - `path`: structured steps to draw on the grid
+ *   (see traceRoute); `color`: ANSI colour, on by default in a terminal
+ */
+function visualizeMuseum(grid, options = {}) {
+  const { path = null, color = useColor() } = options;
+  const museum = parseMuseum(grid);
+  const route = path && museum.errors.length === 0 ? traceRoute(museum, path) : null;
+  const paint = (text, kind) => (color && kind && CELL_COLORS[kind] ? `\x1b[${CELL_COLORS[kind]}m${text}\x1b[0m` : text);
+
+  const legend = [
+    '  LEGEND:',
+    '   S = Start    E = Exit    G = Gem',
+    '   K = Key      D = Door    P = Portal',
+    '   K1..K9 open D1..D9 with the same number',
+    '   Pa..Pz, P0..P9 = Portal channels',
+    '   Oa..Oz, O0..O9 = Exit-only endpoints',
+    '   L = Laser    T = Time Rift  # = Wall'
+  ];
+  const events = [];
+  if (route) {
+    legend.push('  ROUTE:', '   > < ^ v = Move    ~ = Portal jump', '   R = Rift rewind   1 2 3 = Pickup order');
+    events.push(...route.pickups.map(({ r, c, item }, i) => `${i + 1} ${item}(${r},${c})`));
+    events.push(...route.jumps.map(({ from, to, label }) => `~ ${label}(${from.r},${from.c})->(${to.r},${to.c})`));
+    events.push(...route.rewinds.map(({ r, c, from, to }) => `R T(${r},${c}) t=${from}->${to}`));
+  }
+
+  const gridWidth = Math.max(0, ...museum.grid.map(row => row.length * 2 + 10));
+  const boxWidth = Math.max(44, gridWidth, ...legend.map(text => text.length + 3));
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+  const titleText = route ? 'THE MUSEUM - SOLVED ROUTE' : 'THE MUSEUM';
+  const title = '|' + titleText.padStart(Math.floor((boxWidth - 2 + titleText.length) / 2)).padEnd(boxWidth - 2) + '|';
+  const line = text => printCentered('|' + text.padEnd(boxWidth - 2) + '|');
+
+  printCentered('');
+  printCentered(border);
+  printCentered(title);
+  printCentered(border);
+
+  grid.forEach((row, idx) => {
+    const cells = splitRow(row).map((cell, c) => {
+      const routeMark = route && route.marks[idx] ? route.marks[idx][c] : null;
+      const { text, kind } = routeMark || { text: cell, kind: cellKind(cell) };
+      return { text: text.padEnd(2), painted: paint(text, kind) + ' '.repeat(Math.max(0, 2 - text.length)) };
+    });
+    const prefix = `| ${idx.toString().padStart(2, '0')} | `;
+    const plainLength = prefix.length + cells.reduce((sum, cell) => sum + cell.text.length, 0);
+    printCentered(prefix + cells.map(cell => cell.painted).join('') + ' '.repeat(Math.max(0, boxWidth - 1 - plainLength)) + '|');
+  });
+
+  printCentered(border);
+  legend.forEach(line);
+
+  // Route events, wrapped to the box
+  if (events.length > 0) {
+    let current = '   ';
+    events.forEach(event => {
+      if (current.length > 3 && current.length + event.length + 2 > boxWidth - 2) {
+        line(current);
+        current = '   ';
+      }
+      current += (current.length > 3 ? '  ' : '') + event;
+    });
+    line(current);
+  }
+  printCentered(border);
+  printCentered('');
+}
+
+/**
+ * Logs the path to a file
+ */
+function logPathToFile(result, puzzleName = 'puzzle', pathType = 'best') {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const logFileName = `path_${pathType}_${timestamp}.log`;
+
+  let logContent = `Challenge 2 - ${pathType.toUpperCase()} Path Log\n`;
+  logContent += `======================\n`;
+  logContent += `Puzzle: ${puzzleName}\n`;
+  logContent += `Path Type: ${pathType.toUpperCase()}\n`;
+  logContent += `Timestamp: ${new Date().toISOString()}\n`;
+  logContent += `Time: ${result.time}\n`;
+  logContent += `Status: ${result.time !== -1 ? 'SUCCESS' : 'FAILED'}\n`;
+  logContent += `States Explored: ${result.iterations || 'N/A'}\n`;
+  if (result.exact !== undefined) {
+    logContent += `Exact: ${result.exact ? 'yes' : 'no (search limit reached)'}\n`;
+  }
+  logContent += `======================\n\n`;
+
+  if (result.path && result.path.length > 0) {
+    logContent += `PATH (${result.path.length} steps):\n`;
+    logContent += `-----------------------\n`;
+    result.path.forEach((step, idx) => {
+      logContent += `${(idx + 1).toString().padStart(3, '0')}. [t=${step.time}] ${step.description}\n`;
+    });
+  } else {
+    logContent += `No path found.\n`;
+  }
+
+  fs.writeFileSync(logFileName, logContent);
+  return logFileName;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SVG EXPORT - Standalone images of a museum and its solved route
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SVG_CELL = 40;
+const SVG_MARGIN = 20;
+const SVG_HEADER = 30;         // Title line above the grid
+const SVG_FOOTER = 44;         // Summary or clock line, then the legend
+const SVG_MIN_WIDTH = 460;
+const SVG_CHAR_WIDTH = 0.6;    // Monospace glyph width per unit of font size
+const SVG_STEP_SECONDS = 0.4;  // Animated SVG: playback time per path step
+
+// Tile colours, the same hues visualizeMuseum uses in a terminal
+const SVG_TILES = {
+  floor: '#f4f4ef', wall: '#37474f', start: '#43a047', exit: '#2e7d32', gem: '#26a69a', key: '#00acc1',
+  door: '#f9a825', portal: '#ab47bc', laser: '#e53935', rift: '#1e88e5', route: '#ff8f00'
+};
+
+function escapeXml(text) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[&<>"']/g, ch => entities[ch]);
+}
+
+/**
+ * Renders a museum and a route as a standalone SVG document: a tile per
+ * cell, dashed links between the endpoints of each portal channel, the
+ * route as a line with the numbers of the steps that reach each cell, and
+ * markers for portal jumps and rift rewinds. With `animated` a token
+ * replays the route (SMIL, no script): the clock runs under the grid,
+ * lasers fire with it and picked-up gems and keys fade out.
+ * @param {string[]} grid - The museum grid
+ * @param {Object[]} [path] - Structured steps as returned by solveQuantumHeist
+ * @param {Object} [options] - `animated`, `title`, `rules` for the laser period,
+ *   and `idPrefix` for the element ids when several SVGs share one page
+ * @returns {string} SVG markup
+ */
+function renderPathSvg(grid, path = [], options = {}) {
+  const { animated = false, title = 'Quantum Heist', rules = {}, idPrefix = '' } = options;
+  const arrowId = `${idPrefix}arrow`;
+  const { laserPeriod } = resolveRules(rules).rules;
+  const museum = parseMuseum(grid);
+  const steps = museum.errors.length === 0 ? path : [];
+
+  const width = Math.max(SVG_MIN_WIDTH, museum.cols * SVG_CELL, Math.ceil(title.length * 16 * SVG_CHAR_WIDTH)) + 2 * SVG_MARGIN;
+  const height = SVG_HEADER + museum.rows * SVG_CELL + SVG_FOOTER + 2 * SVG_MARGIN;
+  const left = Math.round((width - museum.cols * SVG_CELL) / 2);
+  const top = SVG_MARGIN + SVG_HEADER;
+  const footer = top + museum.rows * SVG_CELL + 20;
+  const x = c => left + c * SVG_CELL;
+  const y = r => top + r * SVG_CELL;
+  const center = ({ r, c }) => `${x(c) + SVG_CELL / 2},${y(r) + SVG_CELL / 2}`;
+  const half = SVG_CELL / 2;
+
+  // Animation timeline: keyframe i is reached after step i
+  const duration = (steps.length + 2) * SVG_STEP_SECONDS;
+  const keyTime = i => ((i * SVG_STEP_SECONDS) / duration).toFixed(6);
+  const loop = `dur="${duration.toFixed(2)}s" repeatCount="indefinite"`;
+
+  // Cells where a step picks up a gem or a key, by step number
+  const pickupStep = new Map();
+  let gems = 0;
+  steps.forEach((step, i) => {
+    if (step.gemsCollected > gems || step.keyCollected !== null) pickupStep.set(`${step.to.r},${step.to.c}`, i + 1);
+    gems = step.gemsCollected;
+  });
+  const fadeOnPickup = (r, c) => {
+    const at = pickupStep.get(`${r},${c}`);
+    return animated && at
+      ? `<animate attributeName="opacity" values="1;0.2" keyTimes="0;${keyTime(at)}" calcMode="discrete" ${loop}/>`
+      : '';
+  };
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace">`,
+    `<title>${escapeXml(title)}</title>`,
+    '<defs>',
+    `<marker id="${arrowId}" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="${SVG_TILES.route}"/></marker>`,
+    '</defs>',
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${width / 2}" y="${SVG_MARGIN + 16}" text-anchor="middle" font-size="16" font-weight="bold">${escapeXml(title)}</text>`
+  ];
+
+  // Tiles
+  const label = (r, c, text, fill = '#ffffff', size = 14) =>
+    `<text x="${x(c) + half}" y="${Math.round(y(r) + half + size / 3)}" text-anchor="middle" font-size="${size}" fill="${fill}">${escapeXml(text)}</text>`;
+  const lasers = [];
+  museum.grid.forEach((row, r) => row.forEach((cell, c) => {
+    const tile = `x="${x(c)}" y="${y(r)}" width="${SVG_CELL}" height="${SVG_CELL}"`;
+    if (cell === '#') {
+      out.push(`<rect ${tile} fill="${SVG_TILES.wall}"/>`);
+      return;
+    }
+    out.push(`<rect ${tile} fill="${SVG_TILES.floor}" stroke="#dddddd"/>`);
+    const kind = cellKind(cell);
+    const cx = x(c) + half;
+    const cy = y(r) + half;
+    if (kind === 'start' || kind === 'exit' || kind === 'door') {
+      out.push(`<rect x="${x(c) + 4}" y="${y(r) + 4}" width="${SVG_CELL - 8}" height="${SVG_CELL - 8}" rx="4" fill="${SVG_TILES[kind]}"/>`);
+      out.push(label(r, c, cell));
+    } else if (kind === 'gem') {
+      out.push(`<g><polygon points="${cx},${cy - 13} ${cx + 11},${cy} ${cx},${cy + 13} ${cx - 11},${cy}" fill="${SVG_TILES.gem}"/>${fadeOnPickup(r, c)}</g>`);
+    } else if (kind === 'key') {
+      out.push(`<g><circle cx="${cx}" cy="${cy}" r="13" fill="${SVG_TILES.key}"/>${label(r, c, cell, '#ffffff', 12)}${fadeOnPickup(r, c)}</g>`);
+    } else if (kind === 'portal') {
+      const dash = cell[0] === 'O' ? ' stroke-dasharray="4 3"' : '';
+      out.push(`<circle cx="${cx}" cy="${cy}" r="14" fill="none" stroke="${SVG_TILES.portal}" stroke-width="3"${dash}/>`);
+      out.push(label(r, c, cell, SVG_TILES.portal, 12));
+    } else if (kind === 'laser') {
+      out.push(`<rect x="${x(c) + 2}" y="${cy - 4}" width="${SVG_CELL - 4}" height="8" fill="none" stroke="${SVG_TILES.laser}" stroke-dasharray="3 3"/>`);
+      lasers.push(`<rect x="${x(c) + 2}" y="${cy - 4}" width="${SVG_CELL - 4}" height="8" fill="${SVG_TILES.laser}"/>`);
+    } else if (kind === 'rift') {
+      out.push(`<circle cx="${cx}" cy="${cy}" r="13" fill="${SVG_TILES.rift}"/>`);
+      out.push(label(r, c, 'T'));
+    }
+  }));
+
+  // Lasers: always drawn in a still image, firing with the clock when animated
+  if (lasers.length > 0) {
+    let blink = '';
+    if (animated) {
+      const firing = [0, ...steps.map(step => step.time)].map(time => (time % laserPeriod === 0 ? 1 : 0.15));
+      blink = `<animate attributeName="opacity" values="${firing.join(';')}" keyTimes="${firing.map((_, i) => keyTime(i)).join(';')}" calcMode="discrete" ${loop}/>`;
+    }
+    out.push(`<g>${lasers.join('')}${blink}</g>`);
+  }
+
+  // Portal links: every pair of endpoints in a channel
+  museum.portalChannels.forEach(channel => {
+    channel.endpoints.forEach((a, i) => channel.endpoints.slice(i + 1).forEach(b => {
+      out.push(`<line x1="${x(a.c) + half}" y1="${y(a.r) + half}" x2="${x(b.c) + half}" y2="${y(b.r) + half}" stroke="${SVG_TILES.portal}" stroke-width="1.5" stroke-dasharray="6 4" opacity="0.5"/>`);
+    }));
+  });
+
+  if (steps.length > 0 && museum.start) {
+    // Route: one polyline per run of moves, broken at portal jumps
+    const runs = [[museum.start]];
+    const reached = new Map(); // "r,c" -> step numbers ending there
+    steps.forEach((step, i) => {
+      if (step.type === 'portal') {
+        out.push(`<line x1="${x(step.from.c) + half}" y1="${y(step.from.r) + half}" x2="${x(step.to.c) + half}" y2="${y(step.to.r) + half}" stroke="${SVG_TILES.portal}" stroke-width="3" stroke-dasharray="2 5" marker-end="url(#${arrowId})"/>`);
+        runs.push([step.to]);
+      } else if (step.type === 'move') {
+        runs[runs.length - 1].push(step.to);
+      } else if (step.type === 'rift') {
+        const before = i > 0 ? steps[i - 1].time : 0;
+        out.push(`<circle cx="${x(step.to.c) + half}" cy="${y(step.to.r) + half}" r="18" fill="none" stroke="${SVG_TILES.rift}" stroke-width="3"/>`);
+        out.push(`<text x="${x(step.to.c) + half}" y="${y(step.to.r) + SVG_CELL - 2}" text-anchor="middle" font-size="9" fill="${SVG_TILES.rift}">t=${before}-&gt;${step.time}</text>`);
+      }
+      const cell = `${step.to.r},${step.to.c}`;
+      reached.set(cell, [...(reached.get(cell) || []), i + 1]);
+    });
+    const routeOpacity = animated ? 0.45 : 0.85;
+    runs.filter(run => run.length > 1).forEach(run => {
+      out.push(`<polyline points="${run.map(center).join(' ')}" fill="none" stroke="${SVG_TILES.route}" stroke-width="4" stroke-linejoin="round" opacity="${routeOpacity}" marker-mid="url(#${arrowId})" marker-end="url(#${arrowId})"/>`);
+    });
+
+    // Step numbers in the corner of each cell, shortened when a cell is crossed often
+    reached.forEach((numbers, cell) => {
+      const [r, c] = cell.split(',').map(Number);
+      let text = String(numbers[0]);
+      let shown = 1;
+      while (shown < numbers.length && (text + ',' + numbers[shown]).length <= 8) text += ',' + numbers[shown++];
+      if (shown < numbers.length) text += '+';
+      out.push(`<text x="${x(c) + 2}" y="${y(r) + 9}" font-size="8" fill="#263238">${text}</text>`);
+    });
+
+    if (animated) {
+      // Token: holds still on waits and rifts, jumps through portals
+      const frames = [{ at: 0, pos: museum.start }];
+      steps.forEach((step, i) => {
+        if (step.type === 'portal') frames.push({ at: i + 1 - 0.01, pos: step.from });
+        frames.push({ at: i + 1, pos: step.to });
+      });
+      frames.push({ at: steps.length + 2, pos: steps[steps.length - 1].to });
+      const offsets = frames.map(({ pos }) => `${x(pos.c) - x(museum.start.c)},${y(pos.r) - y(museum.start.r)}`);
+      out.push(`<circle cx="${x(museum.start.c) + half}" cy="${y(museum.start.r) + half}" r="9" fill="#d81b60" stroke="#ffffff" stroke-width="2">` +
+        `<animateTransform attributeName="transform" type="translate" values="${offsets.join(';')}" keyTimes="${frames.map(f => keyTime(f.at)).join(';')}" ${loop}/></circle>`);
+
+      // Clock: one line per step, each visible while that step is current
+      [{ time: 0, gemsCollected: 0, description: 'Start' }, ...steps].forEach((step, i) => {
+        const showFrom = keyTime(i);
+        const values = i === 0 ? '1;0' : i === steps.length ? '0;1' : '0;1;0';
+        const times = i === 0 ? `0;${keyTime(1)}` : i === steps.length ? `0;${showFrom}` : `0;${showFrom};${keyTime(i + 1)}`;
+        out.push(`<text x="${width / 2}" y="${footer}" text-anchor="middle" font-size="12" opacity="0">` +
+          `Step ${i}/${steps.length}  t=${step.time}  Gems ${step.gemsCollected}/${museum.gems.length}  ${escapeXml(step.description)}` +
+          `<animate attributeName="opacity" values="${values}" keyTimes="${times}" calcMode="discrete" ${loop}/></text>`);
+      });
+    }
+  }
+
+  if (steps.length > 0 && !animated) {
+    const summary = `${steps.length} steps, time ${steps[steps.length - 1].time}, ${museum.gems.length} gem(s)`;
+    out.push(`<text x="${width / 2}" y="${footer}" text-anchor="middle" font-size="12">${summary}</text>`);
+  }
+  out.push(`<text x="${width / 2}" y="${footer + 18}" text-anchor="middle" font-size="11" fill="#546e7a">S start  E exit  G gem  K key  D door  P portal  L laser  T rift</text>`);
+
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Writes a path as an SVG file next to the path log, named
+ * path_<puzzle>_<type>_<timestamp>[_animated].svg
+ * @param {string[]} grid - The museum grid
+ * @param {Object} result - Solver result with a structured path
+ * @param {Object} [options] - `animated` for the SMIL replay, `rules` for the laser period
+ * @returns {string} File name
+ */
+function svgPathToFile(grid, result, puzzleName = 'puzzle', pathType = 'best', options = {}) {
+  const { animated = false, rules = {} } = options;
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const safeName = String(puzzleName).replace(/[^a-zA-Z0-9]/g, '_');
+  const svgFileName = `path_${safeName}_${pathType}_${timestamp}${animated ? '_animated' : ''}.svg`;
+  const title = `${puzzleName} - ${pathType} path, time ${result.time}`;
+
+  fs.writeFileSync(svgFileName, renderPathSvg(grid, result.path, { animated, title, rules }));
+  return svgFileName;
+}
+
+/**
+ * Writes one SVG file per requested format for a path
+ * @param {Object|null} svg - { grid, rules, formats } with formats from 'static' and 'animated', or null
+ * @returns {string[]} File names written
+ */
+function writePathSvgs(svg, result, puzzleName, pathType) {
+  if (!svg || !result || !result.path || result.path.length === 0) return [];
+  return svg.formats.map(format =>
+    svgPathToFile(svg.grid, result, puzzleName, pathType, { animated: format === 'animated', rules: svg.rules }));
+}
+
+/**
+ * Finds the WORST (longest) route: the longest simple path through the
+ * state graph. A route may not return to a cell it already visited with
+ * the same inventory (gems, keys, used portals, rift); picking something
+ * up, teleporting or rewinding changes the inventory, so cells can be
+ * crossed again afterwards. Portals and the time rift follow the same
+ * rules as solveQuantumHeist. WAIT is only used to let a laser switch off:
+ * at most laserPeriod - 1 waits in a row, next to a laser.
+ *
+ * Depth-first search. A flood fill of the cells still open in the current
+ * inventory prunes branches that can neither change the inventory nor
+ * reach the exit with every gem, and branches whose open cells cannot add
+ * enough time to beat the longest route so far. The result is `exact`
+ * when the search finishes within maxIterations; otherwise it is the
+ * longest route found before the limit.
+ * @param {string[]} grid - The museum grid
+ * @param {Object} [rules] - Overrides for DEFAULT_RULES (maxIterations defaults to 500000 here)
+ * @returns {Object} { time, path, iterations, statesExplored, exact, message }
+ */
+function solveWorstPath(grid, rules = {}) {
+  const { rules: activeRules, errors: ruleErrors } = resolveRules({ maxIterations: 500000, ...rules });
+  if (ruleErrors.length > 0) {
+    return { time: -1, path: [], errors: ruleErrors.map(message => ({ message })), message: `Invalid rules: ${ruleErrors[0]}` };
+  }
+  const { moveCost, waitCost, portalCost, portalReusable, laserPeriod, riftRewind, maxIterations } = activeRules;
+
+  const museum = parseMuseum(grid);
+
+  if (museum.errors.length > 0) {
+    return { time: -1, path: [], errors: museum.errors, warnings: museum.warnings, message: `Invalid puzzle: ${museum.errors[0].message}` };
+  }
+
+  const totalGems = museum.gems.length;
+  const allGemsCollected = fullSet(totalGems);
+
+  const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  const { flags, gemIds, keyIds, doorKeyIds, portals } = museum.index;
+  const { rows } = museum;
+  const cols = museum.cols;
+  const exitCell = museum.exit.r * cols + museum.exit.c;
+  const getGemIndex = (r, c) => gemIds[r * cols + c];
+  const getKeyIndex = (r, c) => keyIds[r * cols + c];
+  const getPortal = (r, c) => portals[r * cols + c];
+  const isLaserActive = (r, c, time) => (flags[r * cols + c] & CELL_LASER) !== 0 && time % laserPeriod === 0;
+  const hasTimeRift = (r, c) => (flags[r * cols + c] & CELL_RIFT) !== 0;
+  const isOpen = (r, c, keyMask) => {
+    if (r < 0 || r >= rows || c < 0 || c >= cols) return false;
+    const cell = r * cols + c;
+    if (flags[cell] & CELL_WALL) return false;
+    const keyId = doorKeyIds[cell];
+    if (keyId !== -1 && !(keyMask & museum.keys[keyId].bit)) return false;
+    return true;
+  };
+  const canPortal = (portal, portalMask) => {
+    return portal && (portalReusable || !(portalMask & museum.portalChannels[portal.channel].bit));
+  };
+  const sameInventory = (a, b) => {
+    return a.gemMask === b.gemMask && a.keyMask === b.keyMask &&
+      a.portalMask === b.portalMask && a.riftUsed === b.riftUsed;
+  };
+
+  // Cells next to a laser, where waiting is allowed
+  const nextToLaser = new Uint8Array(rows * cols);
+  museum.lasers.forEach(({ r, c }) => {
+    directions.forEach(([dr, dc]) => {
+      if (r + dr >= 0 && r + dr < rows && c + dc >= 0 && c + dc < cols) nextToLaser[(r + dr) * cols + c + dc] = 1;
+    });
+  });
+  const maxWaits = museum.lasers.length > 0 ? laserPeriod - 1 : 0;
+
+  // Cells on the route in the current inventory carry the current layer
+  // number; the inventory only grows, so those cells are the route's tail
+  const cellLayer = new Int32Array(rows * cols).fill(-1);
+  let layerCount = 0;
+
+  let iterations = 0;
+  let exact = true;
+
+  // Flood fill from the current cell through cells still open in this
+  // inventory. false = the branch cannot finish, or cannot finish later
+  // than `bestTime` (the latest finish found so far in this layer).
+  const floodSeen = new Int32Array(rows * cols);
+  const floodQueue = new Int32Array(rows * cols);
+  let floodId = 0;
+  const worthExploring = (state, layer, bestTime) => {
+    floodId++;
+    let head = 0;
+    let tail = 0;
+    let open = 0;
+    let waitCells = nextToLaser[state.r * cols + state.c];
+    let exitReached = false;
+    floodQueue[tail++] = state.r * cols + state.c;
+    floodSeen[state.r * cols + state.c] = floodId;
+
+    while (head < tail) {
+      const cell = floodQueue[head++];
+      const r = Math.floor(cell / cols);
+      const c = cell % cols;
+
+      // Anything that changes the inventory starts a new layer
+      const gemIdx = gemIds[cell];
+      const keyIdx = keyIds[cell];
+      if ((gemIdx !== -1 && !(state.gemMask & museum.gems[gemIdx].bit)) ||
+          (keyIdx !== -1 && !(state.keyMask & museum.keys[keyIdx].bit)) ||
+          canPortal(portals[cell], state.portalMask) ||
+          ((flags[cell] & CELL_RIFT) && !state.riftUsed)) {
+        return true;
+      }
+      if (cell === exitCell) exitReached = true;
+
+      for (let d = 0; d < 4; d++) {
+        const nr = r + directions[d][0];
+        const nc = c + directions[d][1];
+        if (!isOpen(nr, nc, state.keyMask)) continue;
+        const next = nr * cols + nc;
+        if (floodSeen[next] === floodId || cellLayer[next] === layer) continue;
+        floodSeen[next] = floodId;
+        floodQueue[tail++] = next;
+        open++;
+        waitCells += nextToLaser[next];
+      }
+    }
+
+    if (state.gemMask !== allGemsCollected || !exitReached) return false;
+    return state.time + open * moveCost + waitCells * maxWaits * waitCost > bestTime;
+  };
+
+  function createFrame(type, state, layer, waits) {
+    return { type, state, layer, waits, cell: state.r * cols + state.c, previousLayer: -1, next: null, index: 0 };
+  }
+
+  // Builds the states reachable in one step that keep the route simple.
+  // Steps that change the inventory get layer -1: they enter a new layer.
+  const expand = (frame) => {
+    const current = frame.state;
+    const next = [];
+    const enter = (type, state) => {
+      const same = sameInventory(current, state);
+      if (type !== 'wait' && same && cellLayer[state.r * cols + state.c] === frame.layer) return;
+      next.push(createFrame(type, state, same ? frame.layer : -1, type === 'wait' ? frame.waits + 1 : 0));
+    };
+    const collect = state => {
+      const gemIdx = getGemIndex(state.r, state.c);
+      if (gemIdx !== -1) state.gemMask |= museum.gems[gemIdx].bit;
+      const keyIdx = getKeyIndex(state.r, state.c);
+      if (keyIdx !== -1) state.keyMask |= museum.keys[keyIdx].bit;
+      return state;
+    };
+
+    for (let d = 0; d < 4; d++) {
+      const nr = current.r + directions[d][0];
+      const nc = current.c + directions[d][1];
+      const newTime = current.time + moveCost;
+      if (!isOpen(nr, nc, current.keyMask) || isLaserActive(nr, nc, newTime)) continue;
+      enter('move', collect(new State(nr, nc, newTime, current.gemMask, current.keyMask, current.portalMask, current.riftUsed)));
+    }
+
+    const portal = getPortal(current.r, current.c);
+    if (canPortal(portal, current.portalMask)) {
+      const newPortalMask = portalReusable ? current.portalMask : current.portalMask | museum.portalChannels[portal.channel].bit;
+      for (const dest of portal.targets) {
+        enter('portal', collect(new State(dest.r, dest.c, current.time + portalCost, current.gemMask, current.keyMask, newPortalMask, current.riftUsed)));
+      }
+    }
+
+    if (nextToLaser[current.r * cols + current.c] && frame.waits < maxWaits &&
+        !isLaserActive(current.r, current.c, current.time + waitCost)) {
+      enter('wait', new State(current.r, current.c, current.time + waitCost, current.gemMask, current.keyMask, current.portalMask, current.riftUsed));
+    }
+
+    if (hasTimeRift(current.r, current.c) && !current.riftUsed && current.time >= riftRewind) {
+      enter('rift', new State(current.r, current.c, current.time - riftRewind, current.gemMask, current.keyMask, current.portalMask, true));
+    }
+
+    return next;
+  };
+
+  // Each frame remembers the layer value its cell had before
+  const push = (stack, frame) => {
+    frame.previousLayer = cellLayer[frame.cell];
+    cellLayer[frame.cell] = frame.layer;
+    stack.push(frame);
+  };
+  const pop = stack => {
+    const frame = stack.pop();
+    cellLayer[frame.cell] = frame.previousLayer;
+  };
+
+  // A layer starts with an empty set of visited cells, so its longest
+  // finish depends only on where it starts: the entry cell, inventory,
+  // laser phase and (for the rift) whether time has reached riftRewind
+  const memo = new Map();
+  const entryKey = state => `${state.r},${state.c},${state.gemMask},${state.keyMask},${state.portalMask},` +
+    `${state.riftUsed},${state.time % laserPeriod},${Math.min(state.time, riftRewind)}`;
+
+  // Longest finish from a layer entry: { gain, steps } with step times
+  // relative to the entry, or null if the exit cannot be reached
+  const longestFrom = entry => {
+    const key = entryKey(entry);
+    if (memo.has(key)) return memo.get(key);
+
+    const layer = layerCount++;
+    const stack = [];
+    let best = null;
+    const record = (gain, tail) => {
+      if (best && gain <= best.gain) return;
+      const steps = stack.slice(1).map(f => ({ type: f.type, state: f.state, dt: f.state.time - entry.time }));
+      best = { gain, steps: steps.concat(tail) };
+    };
+
+    push(stack, createFrame(null, entry, layer, 0));
+    while (stack.length > 0) {
+      if (!exact) {
+        while (stack.length > 0) pop(stack);
+        break;
+      }
+      const frame = stack[stack.length - 1];
+
+      if (frame.next === null) {
+        const { state } = frame;
+        if (state.r === museum.exit.r && state.c === museum.exit.c && state.gemMask === allGemsCollected) {
+          // The heist ends at the exit once every gem is held
+          record(state.time - entry.time, []);
+          frame.next = [];
+        } else if (iterations >= maxIterations) {
+          exact = false;
+          continue;
+        } else {
+          iterations++;
+          frame.next = worthExploring(state, layer, best ? entry.time + best.gain : -Infinity) ? expand(frame) : [];
+        }
+      }
+
+      if (frame.index < frame.next.length) {
+        const step = frame.next[frame.index++];
+        if (step.layer === layer) {
+          push(stack, step);
+        } else {
+          const rest = longestFrom(step.state);
+          if (rest) {
+            const offset = step.state.time - entry.time;
+            record(offset + rest.gain, [{ type: step.type, state: step.state, dt: offset }]
+              .concat(rest.steps.map(s => ({ type: s.type, state: s.state, dt: offset + s.dt }))));
+          }
+        }
+      } else {
+        pop(stack);
+      }
+    }
+
+    // Only finished layers are exact enough to reuse
+    if (exact) memo.set(key, best);
+    return best;
+  };
+
+  const initialState = new State(museum.start.r, museum.start.c, 0, EMPTY_SET, EMPTY_SET, EMPTY_SET, false);
+  const longest = longestFrom(initialState);
+  const limitNote = exact ? '' : ` (search limit reached after ${iterations} states)`;
+
+  if (longest) {
+    // Memoized steps carry states from whichever route first reached their
+    // layer; rebuild them with this route's times
+    let previous = initialState;
+    const path = longest.steps.map(({ type, state, dt }) => {
+      const next = new State(state.r, state.c, dt, state.gemMask, state.keyMask, state.portalMask, state.riftUsed);
+      const step = createPathStep(type, previous, next, museum);
+      previous = next;
+      return step;
+    });
+
+    return {
+      time: longest.gain,
+      path,
+      iterations,
+      statesExplored: iterations,
+      exact,
+      message: `Worst path: ${longest.gain} time units${limitNote}.`
+    };
+  }
+
+  return { time: -1, path: [], iterations, statesExplored: iterations, exact, message: `No path found${limitNote}.` };
+}
+
+/**
+ * Prints solution details (centered), with the scoreDifficulty result when
+ * given. With `svg` ({ grid, rules, formats }) each logged path is also
+ * saved as an SVG image.
+ */
+function printSolution(result, totalGems = 0, puzzleName = 'puzzle', worstResult = null, difficulty = null, svg = null) {
+  const boxWidth = 50;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+
+  // Log best path to file
+  let bestLogFile = null;
+  if (result.path && result.path.length > 0) {
+    bestLogFile = logPathToFile(result, puzzleName, 'best');
+  }
+
+  // Log worst path to file
+  let worstLogFile = null;
+  if (worstResult && worstResult.path && worstResult.path.length > 0) {
+    worstLogFile = logPathToFile(worstResult, puzzleName, 'worst');
+  }
+  const svgFiles = [...writePathSvgs(svg, result, puzzleName, 'best'), ...writePathSvgs(svg, worstResult, puzzleName, 'worst')];
+
+  printCentered(border);
+  if (result.time !== -1) {
+    printCentered('|' + `  Best Time: ${result.time}`.padEnd(boxWidth - 2) + '|');
+    if (worstResult && worstResult.time !== -1) {
+      printCentered('|' + `  Worst Time: ${worstResult.time}${worstResult.exact ? '' : ' (search limit reached)'}`.padEnd(boxWidth - 2) + '|');
+    }
+    if (totalGems > 0) {
+      printCentered('|' + `  Gems: ${totalGems}/${totalGems} collected`.padEnd(boxWidth - 2) + '|');
+    }
+    printCentered('|' + '  Status: SUCCESS'.padEnd(boxWidth - 2) + '|');
+    if (difficulty && difficulty.score !== null) {
+      printCentered('|' + `  Difficulty: ${difficulty.score}/100 (${difficulty.label})`.padEnd(boxWidth - 2) + '|');
+    }
+    if (bestLogFile) {
+      printCentered('|' + `  Best path: ${bestLogFile}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+    }
+    if (worstLogFile) {
+      printCentered('|' + `  Worst path: ${worstLogFile}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+    }
+  } else {
+    printCentered('|' + '  Status: FAILED'.padEnd(boxWidth - 2) + '|');
+    if (result.errors && result.errors.length > 0) {
+      printCentered('|' + `  Invalid puzzle: ${result.errors.length} error(s)`.padEnd(boxWidth - 2) + '|');
+    }
+  }
+  printCentered(border);
+  svgFiles.forEach(file => printCentered(`SVG saved: ${file}`));
+  printDiagnostics(result.errors, result.warnings);
+  printCentered('');
+}
+
+/**
+ * Prints a solveTopPaths ranking: one line per solution with its time and
+ * step counts, then the number of optimal routes
+ */
+function printTopPaths(ranking, k) {
+  const boxWidth = 50;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+  const line = text => printCentered('|' + `  ${text}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+
+  printCentered(border);
+  line(`Top ${k} solutions${ranking.exact ? '' : ' (search limit reached)'}`);
+  if (ranking.paths.length === 0) {
+    line('No solution found');
+  }
+  ranking.paths.forEach((solution, i) => {
+    const counts = {};
+    solution.path.forEach(step => { counts[step.type] = (counts[step.type] || 0) + 1; });
+    const parts = ['move', 'wait', 'portal', 'rift']
+      .filter(type => counts[type])
+      .map(type => `${counts[type]} ${type}${counts[type] === 1 ? '' : 's'}`);
+    line(`${String(i + 1).padStart(2)}. Time ${String(solution.time).padEnd(4)} ${parts.join(', ')}`);
+  });
+  if (ranking.paths.length > 0) {
+    if (ranking.unbounded) {
+      line('Optimal routes: unlimited (zero-cost loop)');
+    } else if (ranking.optimalCount === null) {
+      line('Optimal routes: search limit reached');
+    } else {
+      line(`Optimal routes: ${ranking.optimalCount}${ranking.optimalCount === 1n ? ' (unique)' : ''}`);
+    }
+  }
+  printCentered(border);
+}
+
+/**
+ * Prints a diffPaths result: the museum with both routes overlaid, then one
+ * line per segment with each route's time and the difference
+ */
+function printPathDiff(diff, grid) {
+  const marks = { both: '*', best: 'b', worst: 'w' };
+  const splits = new Set(diff.divergences.map(({ r, c }) => `${r},${c}`));
+  const rows = grid.map(splitRow).map((row, r) => row.map((cell, c) => {
+    if (cell !== '.') return cell.padEnd(2);
+    if (splits.has(`${r},${c}`)) return 'X ';
+    return (marks[diff.cells[r][c]] || '.').padEnd(2);
+  }).join(''));
+  const table = diff.segments.map((segment, i) => [
+    String(i + 1).padStart(2),
+    (segment.shared ? 'shared' : 'split').padEnd(7),
+    `(${segment.start.r},${segment.start.c})`.padEnd(8),
+    `(${segment.end.r},${segment.end.c})`.padEnd(8),
+    String(segment.best.time).padStart(5),
+    String(segment.worst.time).padStart(6),
+    `${segment.delta >= 0 ? '+' : ''}${segment.delta}`.padStart(6)
+  ].join(' '));
+  const total = diff.worstTime - diff.bestTime;
+  const lines = [
+    'BEST vs WORST ROUTE',
+    '',
+    ...rows.map((row, r) => `${String(r).padStart(2, '0')} | ${row}`),
+    '',
+    '* = both routes  b = best only  w = worst only  X = routes split',
+    '',
+    ' #  Route   From     To        Best  Worst  Delta',
+    ...table,
+    '',
+    `Total: best ${diff.bestTime}, worst ${diff.worstTime} (${total >= 0 ? '+' : ''}${total}), ` +
+      `${diff.divergences.length} divergence${diff.divergences.length === 1 ? '' : 's'}`
+  ];
+  const boxWidth = Math.max(50, ...lines.map(text => text.length + 6));
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+
+  printCentered(border);
+  lines.forEach(text => printCentered('|' + `  ${text}`.padEnd(boxWidth - 2) + '|'));
+  printCentered(border);
+  printCentered('');
+}
+
+/**
+ * Prints an explainUnsolvable result: the reasons, then the cells reached
+ * from the start (the grid's own symbol if reached, x if not)
+ */
+function printExplanation(explanation, grid) {
+  if (explanation.solvable || explanation.reachability.length === 0) return;
+  const cells = grid.map(splitRow);
+  const rows = explanation.reachability.map((row, r) => [...row].map((mark, c) => (mark === 'x' ? 'x' : cells[r][c]).padEnd(2)).join(''));
+  const lines = ['WHY THERE IS NO SOLUTION', '', ...explanation.reasons.map(reason => `- ${reason.message}`),
+    '', 'Reached from the start (x = never reached):', ...rows.map((row, r) => `  ${String(r).padStart(2, '0')} | ${row}`)];
+  const boxWidth = Math.max(50, ...lines.map(text => text.length + 6));
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+
+  printCentered(border);
+  lines.forEach(text => printCentered('|' + `  ${text}`.padEnd(boxWidth - 2) + '|'));
+  printCentered(border);
+  printCentered('');
+}
+
+/**
+ * Prints grid errors and warnings, one per line (centered)
+ */
+function printDiagnostics(errors = [], warnings = []) {
+  const lines = [
+    ...(errors || []).map(err => `ERROR    ${err.message}`),
+    ...(warnings || []).map(warning => `WARNING  ${warning.message}`)
+  ];
+  if (lines.length === 0) return;
+  const width = Math.max(...lines.map(line => line.length));
+  lines.forEach(line => printCentered(line.padEnd(width)));
+}
+
+/**
+ * Prints a path validation report, with the optimal time for comparison (centered)
+ */
+function printValidation(report, optimal = null) {
+  const boxWidth = 60;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+  const line = text => printCentered('|' + `  ${text}`.padEnd(boxWidth - 2).substring(0, boxWidth - 2) + '|');
+
+  printCentered(border);
+  line(`Status: ${report.solved ? 'SOLVED' : report.valid ? 'INCOMPLETE' : 'INVALID'}`);
+  if (report.time !== undefined) {
+    line(`Time: ${report.time}`);
+    line(`Gems: ${report.gemsCollected}/${report.totalGems}   Keys: ${report.keysCollected.length}   Rift used: ${report.riftUsed ? 'yes' : 'no'}`);
+    line(`Steps replayed: ${report.stepsReplayed}`);
+  }
+  if (optimal && optimal.time !== -1) {
+    const gap = report.solved ? `  (+${report.time - optimal.time})` : '';
+    line(`Optimal time: ${optimal.time}${gap}`);
+  }
+  line(report.message);
+  printCentered(border);
+  printCentered('');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SECTION 6: TEST CASES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const testCases = [
+  {
+    name: "Test 1: Simple Path (No obstacles)",
+    grid: [
+      "S..G",
+      "....",
+      "....",
+      "...E"
+    ],
+    expected: { minTime: 6, difficulty: { easierThan: [20, 8] } } // Right to gem, down to exit; an open room with many equal routes
+  },
+  {
+    name: "Test 2: Key and Door",
+    grid: [
+      "S.K.",
+      "#D##",
+      ".G..",
+      "...E"
+    ],
+    expected: { minTime: 8 } // The door is the only way down: fetch the key first (6 if it were open)
+  },
+  {
+    name: "Test 3: Portal Shortcut",
     grid: [
       "S..P....",
       "........",
@@ -737,100 +2871,768 @@ const testCases = [
       "........",
       ".......E"
     ],
-    expected: { minTime: 6 } // Use portal to skip distance
+    expected: { minTime: 8 } // 3 steps to P, jump, 3 to the gem, 2 to the exit (14 on foot)
+  },
+  {
+    name: "Test 4: Laser Timing",
+    grid: [
+      "S.L.G",
+      ".....",
+      "....E"
+    ],
+    expected: { minTime: 6 } // Must time laser crossing
+  },
+  {
+    name: "Test 5: Multiple Gems",
+    grid: [
+      "S..G.",
+      ".....",
+      "G...G",
+      ".....",
+      "....E"
+    ],
+    expected: { minTime: 12 } // Optimal collection order matters
+  },
+  {
+    name: "Test 6: Time Rift Usage",
+    grid: [
+      "S...T",
+      ".....",
+      "G....",
+      ".....",
+      "....E"
+    ],
+    expected: { minTime: 8 } // Time rift saves 2 units
+  },
+  {
+    name: "Test 7: Impossible Case",
+    grid: [
+      "S.#.G",
+      "..#..",
+      "..#..",
+      "..#.E"
+    ],
+    expected: { minTime: -1, reason: 'walled-off' } // Gem is unreachable
+  },
+  {
+    name: "Test 8: Complex Heist (Full Feature Test)",
+    grid: [
+      "S..P......#...",
+      "..###.....#.K.",
+      "..#G#.....#...",
+      "..#.#..L..#.D.",
+      "..P.......#.G.",
+      "....###...#...",
+      "....#T#...#...",
+      "....###.P.#...",
+      "..........#...",
+      "..........#.P.",
+      "G.............",
+      ".............E"
+    ],
+    expected: { minTime: 41, difficulty: { harderThan: [1, 20] } } // Complex case
+  },
+  {
+    name: "Test 9: Dense Laser Field",
+    grid: [
+      "S.L.L.G",
+      ".L.L.L.",
+      "L.L.L.L",
+      ".L.L.L.",
+      "G.L.L.E"
+    ],
+    expected: { minTime: 'calculate' } // Must navigate carefully
+  },
+  {
+    name: "Test 10: Portal Chain",
+    grid: [
+      "S.P...P..",
+      ".........",
+      "..P...P..",
+      ".........",
+      "....G....",
+      ".........",
+      "..P...P..",
+      ".........",
+      ".......PE"
+    ],
+    expected: { minTime: 'calculate' } // Multiple portal options
+  },
+  {
+    name: "Test 11: Wait Out the Laser",
+    grid: [
+      "S..L.E"
+    ],
+    expected: { minTime: 6 } // Wait 1 unit so the laser is off on arrival
+  },
+  {
+    name: "Test 12: Numbered Keys and Doors",
+    grid: [
+      "SK1.D2.E",
+      ".#####",
+      "K2....."
+    ],
+    expected: { minTime: 9 } // K1 is nearer, but only K2 opens D2
+  },
+  {
+    name: "Test 13: Door Without Key",
+    grid: [
+      "S.D3.E"
+    ],
+    expected: { minTime: -1 } // Parse error: no K3 for D3
+  },
+  {
+    name: "Test 14: Labeled Portal Channels",
+    grid: [
+      "SPa...Pb",
+      "######",
+      "Pa...GE"
+    ],
+    expected: { minTime: 6 } // Pa pairs across the wall; lone Pb is ignored
+  },
+  {
+    name: "Test 15: Portal Group with One-Way Exit",
+    grid: [
+      "S.Pg.",
+      "####",
+      "Pg..#",
+      "####",
+      "Og.GE"
+    ],
+    expected: { minTime: 5 } // Pick the exit-only endpoint, not the decoy
+  },
+  {
+    name: "Test 16: Invalid Grid Diagnostics",
+    grid: [
+      "S..x",
+      "..E",
+      "E..."
+    ],
+    expected: { minTime: -1 } // Unknown cell, ragged row and two exits are reported
+  },
+  {
+    name: "Test 17: Grand Gallery (50x50, 5 Gems)",
+    grid: [
+      "S..........#...........#...........#...........#..",
+      "...........#...........#...........#...........#P.",
+      "..................................................",
+      "........................................G.........",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "##########.##########.############################",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "...........#........K..#...........#...........#..",
+      "..................................................",
+      "..................................................",
+      ".....G.....#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "##########################.###############.#######",
+      "...........#...L.......#...........#...........#..",
+      "...........#...........#.........L.#...........#..",
+      "...........#...........#...........#...........#..",
+      "..................................................",
+      "..................................................",
+      "...........#...........#......G....#...........#..",
+      "...........#...........#...........#...........#..",
+      "####D.############################################",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "...........#...........#.T.........#...........#..",
+      "..................................................",
+      "...............................................G..",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "#######.##########################################",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#....L......#..",
+      "..................................................",
+      "..................................................",
+      "...........#...........#...........#...........#..",
+      "...........#...G.......#...........#...........#..",
+      "########################.#############.###########",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "........L.........................................",
+      "..................................................",
+      "...........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "####.############################.################",
+      ".P.........#...........#...........#...........#..",
+      "...........#...........#...........#...........#..",
+      "..........E#...........#...........#...........#.."
+    ],
+    rules: { maxIterations: 3000000 }, // ~1.5M states, above the default limit
+    expected: { minTime: 301 } // Kept in the dense state table
+  },
+  {
+    name: "Test 18: A* Search with Portals and Rift",
+    grid: [
+      "S...#.....",
+      ".P..#..G..",
+      "....#.....",
+      "#####.T###",
+      "G...P....E"
+    ],
+    search: 'astar',
+    expected: { minTime: 21 } // Heuristic must allow for the teleport and the rewind
+  },
+  {
+    name: "Test 19: Exact Worst Path",
+    grid: [
+      "S..#",
+      ".T.G",
+      "L..E"
+    ],
+    expected: {
+      minTime: 3,
+      worstTime: 37, // Worst route waits by the laser and rewinds to cross the grid again
+      diff: { shared: [true, false, false, false, false], deltas: [0, 8, 2, 2, 22] } // The last split holds most of the gap
+    }
   },
   {
-    name: "Test 4: Laser Timing",
+    name: "Test 20: Unique Intended Route",
     grid: [
       "S.L.G",
-      ".....",
-      "....E"
+      "#.#.#",
+      "E...."
     ],
-    expected: { minTime: 6 } // Must time laser crossing
+    expected: { minTime: 10, optimalRoutes: 1, difficulty: { harderThan: [1], easierThan: [8] } } // Top row past the laser to the gem, then back along the bottom
   },
   {
-    name: "Test 5: Multiple Gems",
+    name: "Test 21: Key Behind Its Own Door",
     grid: [
-      "S..G.",
-      ".....",
-      "G...G",
-      ".....",
-      "....E"
+      "S.D1.E",
+      "G.#K1#"
     ],
-    expected: { minTime: 12 } // Optimal collection order matters
+    expected: { minTime: -1, reason: 'key-behind-door' } // K1 and the exit are both sealed off by D1
   },
   {
-    name: "Test 6: Time Rift Usage",
+    name: "Test 22: Rift Saved for the Exit",
     grid: [
-      "S...T",
-      ".....",
-      "G....",
-      ".....",
-      "....E"
+      "T...LG",
+      "ES...."
     ],
-    expected: { minTime: 8 } // Time rift saves 2 units
+    expected: { minTime: 10 } // Rewind on T at time 11, one step from E; rewinding early finishes at 11
   },
   {
-    name: "Test 7: Impossible Case",
+    name: "Test 23: A* with a Rift Below Zero",
+    search: 'astar',
     grid: [
-      "S.#.G",
-      "..#..",
-      "..#..",
-      "..#.E"
+      "..SL..",
+      ".#TE..",
+      "..##.."
     ],
-    expected: { minTime: -1 } // Gem is unreachable
+    expected: { minTime: 1 } // The rewind takes the time below the distance to E, so the bound goes negative
   },
   {
-    name: "Test 8: Complex Heist (Full Feature Test)",
+    name: "Test 24: Seeded Generator Level",
     grid: [
-      "S..P......#...",
-      "..###.....#.K.",
-      "..#G#.....#...",
-      "..#.#..L..#.D.",
-      "..P.......#.G.",
-      "....###...#...",
-      "....#T#...#...",
-      "....###.P.#...",
-      "..........#...",
-      "..........#.P.",
-      "G..............",
-      "..............E"
+      "..........",
+      ".L#...#.E.",
+      ".#.#......",
+      "...G..#D1..",
+      "..K1......#",
+      "##L.##....",
+      "#.Pa...#.#.",
+      "...#.S##.T",
+      "..#.###.G.",
+      "Pa..#.#...G"
     ],
-    expected: { minTime: 'calculate' } // Complex case
+    expected: {
+      minTime: 27,
+      // The README's generate command: these options must rebuild levels/generated-10x10.json
+      generated: { rows: 10, cols: 10, gems: 3, keys: 1, portals: 1, rifts: 1, seed: 2026, targetMinTime: [25, 35] }
+    }
   },
   {
-    name: "Test 9: Dense Laser Field",
+    name: "Test 25: Level Editor Keys",
     grid: [
-      "S.L.L.G",
-      ".L.L.L.",
-      "L.L.L.L",
-      ".L.L.L.",
-      "G.L.L.E"
+      "S...",
+      "....",
+      "...E"
     ],
-    expected: { minTime: 'calculate' } // Must navigate carefully
+    expected: {
+      minTime: 5,
+      editor: {
+        keys: [
+          'right', 'k', '1', 'right', 'd', '1', // K and D take a 1-9 label
+          'down', 's', 'right', 'e',            // A new S or E clears the old one
+          'ctrl+z', 'ctrl+z', 'ctrl+y',         // Undo E and S, redo S
+          'down', 'left', 'g', 'p', 'a',        // P takes a-z or 0-9
+          'ctrl+z', 'ctrl+z', 'l', 'ctrl+y',    // A new edit clears the redo history
+          'left', 'k', '0'                      // 0 is no key label, so K stays bare
+        ],
+        grid: [
+          ".K1D1.",
+          "..S.",
+          ".KLE"
+        ]
+      }
+    }
   },
   {
-    name: "Test 10: Portal Chain",
+    name: "Test 26: Play Mode Keys",
     grid: [
-      "S.P...P..",
-      ".........",
-      "..P...P..",
-      ".........",
-      "....G....",
-      ".........",
-      "..P...P..",
-      ".........",
-      ".......PE"
+      "S#K1G.",
+      ".L.D1E",
+      "....."
     ],
-    expected: { minTime: 'calculate' } // Multiple portal options
+    expected: {
+      minTime: 7,
+      play: {
+        keys: [
+          'right', 'down', 'space',        // Into the wall, then wait below the start
+          'right', 'right', 'd',           // The laser fires at time 3: refused every time
+          'up', 'w', 'right',              // Off the map and into the wall from the start
+          'backspace', 'backspace',        // Take back the last two steps
+          'right', 'right', 'right',       // Under the laser, then the locked D1
+          'up', 'right', 'right',          // K1 and the gem
+          'backspace', 'right', 'down',    // Take back and redo the last step, then escape
+          'left'                           // Ignored once escaped
+        ],
+        time: 7,
+        position: [1, 4],
+        steps: 7,
+        blocked: 7,
+        solved: true
+      }
+    }
+  },
+  {
+    name: "Test 27: Animation Playback Keys",
+    grid: [
+      "S....",
+      "....G",
+      "E...."
+    ],
+    expected: {
+      minTime: 10,
+      playback: {
+        keys: [
+          'end', 'right', 'right',          // Stepping stops at the last of 11 frames
+          'home', 'left', 'left',           // ... and at the first
+          '5', '[', ']', ']',               // Half way, then back and forward 10%
+          '+', '+', '+', '+', '+',          // Speed tops out at the fastest delay
+          '-', '-', '-', '-', '-', '-', '-', '-', // ... and bottoms out at the slowest
+          '=',                              // One step faster again
+          'end', 'space'                    // Space at the end replays from the start
+        ],
+        frame: 0,
+        speed: 1,
+        playing: true
+      }
+    }
   }
 ];
 
+/**
+ * The custom challenge puzzle used by the demo
+ */
+const DEMO_PUZZLE = [
+  "S....P....#....",
+  "..##......#.K..",
+  "..#G#..L..#....",
+  "..#.#.....#.D..",
+  "..P.......#.G..",
+  "....###...#....",
+  "....#T#...#....",
+  "....###.P.#....",
+  "..........#....",
+  "..........#.P..",
+  "G..............",
+  "..............E"
+];
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 7: TEST RUNNER
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function runTests() {
+/**
+ * Solves one puzzle with full output: grid, solution, timing and the
+ * checks from checkPuzzleResult and PUZZLE_CHECKS. With A* search the
+ * Dijkstra run is repeated for comparison and must reach the same time.
+ * @param {Object} puzzle - { name, grid, expected, search }
+ * @param {Object} [rules] - Rule overrides
+ * @param {Object} [options] - { label, search, top, overlay, svgFormats, html }:
+ *   the tag in the heading; the best-path search (the puzzle's own by
+ *   default); top > 0 ranks the `top` fastest solutions and counts the
+ *   optimal routes; overlay draws the solved route on the grid; svgFormats
+ *   ('static', 'animated') also save it as SVG images; html writes a report
+ *   page (renderHtmlReport) with the worst path solved as well
+ * @returns {boolean} false if the replay, the expected time or a check did not match
+ */
+function runPuzzle(puzzle, rules = {}, options = {}) {
+  const {
+    label = 'TEST',
+    search = puzzle.search || 'dijkstra',
+    top = 0,
+    overlay = false,
+    svgFormats = [],
+    html = false
+  } = options;
+
+  printCentered('='.repeat(70));
+  printCentered(`[${label}] ${puzzle.name}`);
+  printCentered('-'.repeat(70));
+
+  visualizeMuseum(puzzle.grid);
+
+  const startTime = performance.now();
+  const result = solveQuantumHeist(puzzle.grid, rules, { search });
+  const endTime = performance.now();
+
+  const gemCount = (puzzle.grid.join('').match(/G/g) || []).length;
+  const expectsRoutes = !!puzzle.expected && puzzle.expected.optimalRoutes !== undefined;
+  const ranking = top > 0 || expectsRoutes ? solveTopPaths(puzzle.grid, rules, { k: top || 1 }) : null;
+  const baseline = search === 'astar' ? solveQuantumHeist(puzzle.grid, rules) : null;
+  const difficulty = scoreDifficulty(puzzle.grid, rules, { best: result, top: ranking, baseline });
+  const svg = svgFormats.length > 0 ? { grid: puzzle.grid, rules, formats: svgFormats } : null;
+  printSolution(result, gemCount, puzzle.name.replace(/[^a-zA-Z0-9]/g, '_'), null, difficulty, svg);
+  const explanation = result.time === -1 && !result.errors ? explainUnsolvable(puzzle.grid, rules) : null;
+  if (explanation) printExplanation(explanation, puzzle.grid);
+  if (overlay && result.time !== -1) visualizeMuseum(puzzle.grid, { path: result.path });
+  if (ranking && top > 0) printTopPaths(ranking, top);
+
+  printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
+  if (html) {
+    printCentered(`HTML report: ${htmlReportToFile(buildResultRecord(puzzle, rules, { worst: true, search, top }))}`);
+  }
+
+  const { replay, replayOk, expected, passed } = checkPuzzleResult(puzzle, result, rules);
+  if (replay) {
+    printCentered(`[REPLAY] ${replayOk ? 'OK' : 'MISMATCH'} - ${replay.message}`);
+  }
+
+  const expectsWorst = !!puzzle.expected && puzzle.expected.worstTime !== undefined;
+  const context = {
+    puzzle,
+    rules,
+    best: result,
+    worst: expectsWorst ? solveWorstPath(puzzle.grid, rules) : null,
+    ranking,
+    explanation
+  };
+  for (const check of applicableChecks(context)) {
+    const outcome = check.run(context);
+    printCentered(`[${check.tag}] ${outcome.passed ? 'PASSED' : 'FAILED'} Expected ${outcome.expected}, Got ${outcome.got}`);
+    if (!outcome.passed) return false;
+  }
+
+  if (baseline && result.iterations !== undefined) {
+    printCentered(`[A*] ${describeSearchReduction(result, baseline)}`);
+    if (baseline.time !== result.time) {
+      printCentered(`[FAILED] A* time ${result.time} differs from Dijkstra time ${baseline.time}`);
+      return false;
+    }
+  }
+
+  if (!replayOk) {
+    printCentered(`[FAILED] Replay of the solver path did not reproduce time ${result.time}`);
+  } else if (expected !== 'calculate') {
+    printCentered(`[${passed ? 'PASSED' : 'FAILED'}] Expected ${expected}, Got ${result.time}`);
+  } else if (!passed) {
+    printCentered(`[FAILED] Expected a solution, Got ${result.time} (${result.message})`);
+  } else {
+    printCentered(`[COMPUTED] Result = ${result.time} (manual verification needed)`);
+  }
+  return passed;
+}
+
+/**
+ * Checks a solver result: replays its path through validatePath and compares
+ * the time with puzzle.expected.minTime ('calculate' = no fixed expectation,
+ * counted as passed only for a valid grid that has a solution; a puzzle meant
+ * to be unsolvable must say so with -1)
+ */
+function checkPuzzleResult(puzzle, result, rules = {}) {
+  const replay = result.time !== -1 ? validatePath(puzzle.grid, result.path, rules) : null;
+  const replayOk = !replay || (replay.solved && replay.time === result.time);
+  const expected = puzzle.expected && puzzle.expected.minTime !== undefined ? puzzle.expected.minTime : 'calculate';
+  const solved = result.time !== -1 && !result.errors;
+  const passed = replayOk && (expected === 'calculate' ? solved : result.time === expected);
+  return { replay, replayOk, expected, passed };
+}
+
+/**
+ * Checks a worst-path result against puzzle.expected.worstTime: the search
+ * must be exact and its route must replay to the reported time
+ */
+function checkWorstResult(puzzle, worst, rules = {}) {
+  const expected = puzzle.expected.worstTime;
+  const replay = worst.time !== -1 ? validatePath(puzzle.grid, worst.path, rules) : null;
+  const replayOk = !replay || (replay.solved && replay.time === worst.time);
+  return {
+    expected,
+    got: `${worst.time} (${worst.exact ? 'exact' : 'search limit reached'}${replayOk ? '' : ', replay mismatch'})`,
+    passed: replayOk && worst.exact === true && worst.time === expected
+  };
+}
+
+/**
+ * Diffs the best and worst paths and compares each segment's shared flag and
+ * delta with puzzle.expected.diff { shared, deltas }. Each route's segment
+ * times must add up to its total, so the deltas add up to worst - best.
+ */
+function checkPathDiff(puzzle, best, worst) {
+  const { segments } = diffPaths(puzzle.grid, best.path, worst.path);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const describe = ({ shared, deltas }) => deltas.map((delta, i) => `${shared[i] ? '=' : '~'}${delta < 0 ? '' : '+'}${delta}`).join(' ');
+  const deltas = segments.map(segment => segment.delta);
+  const addsUp = sum(segments.map(segment => segment.best.time)) === best.time &&
+    sum(segments.map(segment => segment.worst.time)) === worst.time && sum(deltas) === worst.time - best.time;
+  const got = describe({ shared: segments.map(segment => segment.shared), deltas });
+  return {
+    expected: describe(puzzle.expected.diff),
+    got: `${got} (sum ${sum(deltas)}${addsUp ? '' : `, not ${worst.time} - ${best.time}`})`,
+    passed: addsUp && got === describe(puzzle.expected.diff)
+  };
+}
+
+/**
+ * Checks a solveTopPaths result against puzzle.expected.optimalRoutes
+ */
+function checkOptimalRoutes(puzzle, ranking) {
+  const expected = puzzle.expected.optimalRoutes;
+  return {
+    expected,
+    got: ranking.unbounded ? 'unlimited' : ranking.optimalCount === null ? 'search limit reached' : ranking.optimalCount,
+    passed: ranking.optimalCount !== null && ranking.optimalCount === BigInt(expected)
+  };
+}
+
+/**
+ * Checks an explainUnsolvable result against puzzle.expected.reason, the
+ * kind of reason it must give
+ */
+function checkExplanation(puzzle, explanation) {
+  const expected = puzzle.expected.reason;
+  return {
+    expected,
+    got: explanation ? explanation.reasons.map(reason => reason.kind).join(', ') : 'a solution',
+    passed: !!explanation && explanation.reasons.some(reason => reason.kind === expected)
+  };
+}
+
+/**
+ * Turns a scripted key such as 'k', 'left', 'ctrl+z' or 'shift+down' into
+ * the (str, key) pair readline passes to the keypress handlers
+ */
+function scriptedKey(spec) {
+  const [, modifier = null, name] = /^(?:(ctrl|shift)\+)?(.+)$/.exec(spec);
+  const named = name.length > 1; // up, backspace, escape, space, return...
+  const str = name === 'space' ? ' ' : named ? undefined : name;
+  return [str, { name: named || /^[0-9a-z]$/.test(name) ? name : undefined, ctrl: modifier === 'ctrl', shift: modifier === 'shift' }];
+}
+
+/**
+ * Types puzzle.expected.editor.keys into a level editor opened on the grid
+ * and compares the edited grid with puzzle.expected.editor.grid
+ */
+function checkEditorKeys(puzzle, rules) {
+  const { keys, grid: expected } = puzzle.expected.editor;
+  const editor = createEditor({ grid: puzzle.grid, rules });
+  keys.forEach(spec => editorKeypress(editor, ...scriptedKey(spec)));
+  const got = editorGrid(editor);
+  return { expected: expected.join('/'), got: got.join('/'), passed: got.join('\n') === expected.join('\n') };
+}
+
+/**
+ * Plays puzzle.expected.play.keys in a game on the grid. A key the game
+ * refuses ("Blocked: ...") must leave the steps, time and position as they
+ * were; the end time, position, step count and number of refused keys are
+ * compared with puzzle.expected.play
+ */
+function checkPlayKeys(puzzle, rules) {
+  const { keys, ...expected } = puzzle.expected.play;
+  const game = createGame({ grid: puzzle.grid, name: puzzle.name, rules });
+  const snapshot = () => JSON.stringify([game.steps.length, game.report.time, game.report.position]);
+  let blocked = 0;
+  let unchanged = true;
+  keys.forEach(spec => {
+    const before = snapshot();
+    gameKeypress(game, ...scriptedKey(spec));
+    if (game.message.startsWith('Blocked: ')) {
+      blocked++;
+      unchanged = unchanged && snapshot() === before;
+    }
+  });
+  const describe = ({ time, position, steps, blocked, solved }) =>
+    `t=${time} at (${position.join(',')}), ${steps} steps, ${blocked} blocked${solved ? ', escaped' : ''}`;
+  const { time, position, solved } = game.report;
+  const got = describe({ time, position: [position.r, position.c], steps: game.steps.length, blocked, solved });
+  return {
+    expected: describe(expected),
+    got: unchanged ? got : `${got}, but a blocked key changed the game`,
+    passed: unchanged && got === describe(expected)
+  };
+}
+
+/**
+ * Presses puzzle.expected.playback.keys on a player over the animation
+ * frames of the solved path. After every key the frame must stay within the
+ * timeline and the speed within ANIMATION_DELAYS; the end frame, speed and
+ * playing flag are compared with puzzle.expected.playback
+ */
+function checkPlaybackKeys(puzzle, result) {
+  const { keys, ...expected } = puzzle.expected.playback;
+  const player = createPlayer(buildAnimationFrames(puzzle.grid, result.path).frames.length);
+  let inBounds = true;
+  keys.forEach(spec => {
+    animationKeypress(player, ...scriptedKey(spec));
+    inBounds = inBounds && player.frame >= 0 && player.frame < player.frameCount &&
+      player.speed >= 0 && player.speed < ANIMATION_DELAYS.length;
+  });
+  const describe = ({ frame, speed, playing }) => `frame ${frame}, speed ${speed}, ${playing ? 'playing' : 'paused'}`;
+  const got = describe(player);
+  return {
+    expected: describe(expected),
+    got: inBounds ? got : `${got}, but a key left the timeline or speed range`,
+    passed: inBounds && got === describe(expected)
+  };
+}
+
+/**
+ * Scores the puzzle from fixed telemetry, the Dijkstra best path and the 10
+ * fastest solutions, so the result does not depend on --astar, --top or
+ * --worst. Checks properties rather than exact numbers: the score is within
+ * 0..100, nearOptimal counts at least every optimal route, and the score is
+ * above each test in puzzle.expected.difficulty.harderThan and below each
+ * one in easierThan (test numbers).
+ */
+function checkDifficulty(puzzle, rules) {
+  const { harderThan = [], easierThan = [] } = puzzle.expected.difficulty;
+  const measure = (grid, gridRules) => {
+    const top = solveTopPaths(grid, gridRules, { k: 10 });
+    return { top, difficulty: scoreDifficulty(grid, gridRules, { best: solveQuantumHeist(grid, gridRules), top }) };
+  };
+  const scoreOf = n => {
+    const testCase = testCases[n - 1];
+    return testCase ? measure(testCase.grid, testCase.rules || {}).difficulty.score : null;
+  };
+
+  const { top, difficulty: { score, nearOptimal } } = measure(puzzle.grid, rules);
+  const inRange = Number.isInteger(score) && score >= 0 && score <= 100;
+  const coversOptimal = top.optimalCount === null || (nearOptimal !== null && nearOptimal >= Number(top.optimalCount));
+  const above = harderThan.map(n => ({ n, score: scoreOf(n) }));
+  const below = easierThan.map(n => ({ n, score: scoreOf(n) }));
+  const ordered = above.every(other => other.score !== null && score > other.score) &&
+    below.every(other => other.score !== null && score < other.score);
+
+  const others = (list, sign) => list.map(other => `${sign} Test ${other.n} (${other.score === null ? 'unscored' : other.score})`);
+  return {
+    expected: ['0-100', 'near-optimal >= optimal', ...harderThan.map(n => `> Test ${n}`), ...easierThan.map(n => `< Test ${n}`)].join(', '),
+    got: [`${score}/100`, `${nearOptimal} near-optimal, ${top.optimalCount === null ? 'unknown' : top.optimalCount} optimal`,
+      ...others(above, 'vs'), ...others(below, 'vs')].join(', '),
+    passed: inRange && coversOptimal && ordered
+  };
+}
+
+/**
+ * Checks that generatePuzzle, given the options in puzzle.expected.generated,
+ * still rebuilds this grid with the expected best time
+ */
+function checkGenerated(puzzle) {
+  const options = puzzle.expected.generated;
+  const { puzzle: generated } = generatePuzzle(options);
+  const sameGrid = !!generated && generated.grid.join('\n') === puzzle.grid.join('\n');
+  const expected = `seed ${options.seed} to rebuild this grid`;
+  const got = !generated ? 'no level' : sameGrid ? `the same grid (best ${generated.expected.minTime})` : 'a different grid';
+  return { expected, got, passed: sameGrid && generated.expected.minTime === puzzle.expected.minTime };
+}
+
+/**
+ * The checks a puzzle asks for through its `expected` fields, shared by
+ * runPuzzle and buildResultRecord. A check runs when puzzle.expected[key] is
+ * set and `needs`, if given, holds for the results at hand; each run takes
+ * { puzzle, rules, best, worst, ranking, explanation } and returns
+ * { expected, got, passed }.
+ */
+const PUZZLE_CHECKS = [
+  { tag: 'WORST', key: 'worstTime', run: ({ puzzle, rules, worst }) => checkWorstResult(puzzle, worst, rules) },
+  {
+    tag: 'DIFF',
+    key: 'diff',
+    needs: ({ best, worst }) => !!best && best.time !== -1 && !!worst && worst.time !== -1,
+    run: ({ puzzle, best, worst }) => checkPathDiff(puzzle, best, worst)
+  },
+  { tag: 'REASON', key: 'reason', run: ({ puzzle, explanation }) => checkExplanation(puzzle, explanation) },
+  { tag: 'ROUTES', key: 'optimalRoutes', run: ({ puzzle, ranking }) => checkOptimalRoutes(puzzle, ranking) },
+  { tag: 'DIFFICULTY', key: 'difficulty', run: ({ puzzle, rules }) => checkDifficulty(puzzle, rules) },
+  { tag: 'EDITOR', key: 'editor', run: ({ puzzle, rules }) => checkEditorKeys(puzzle, rules) },
+  { tag: 'PLAY', key: 'play', run: ({ puzzle, rules }) => checkPlayKeys(puzzle, rules) },
+  {
+    tag: 'PLAYBACK',
+    key: 'playback',
+    needs: ({ best }) => !!best && best.time !== -1,
+    run: ({ puzzle, best }) => checkPlaybackKeys(puzzle, best)
+  },
+  { tag: 'SEED', key: 'generated', run: ({ puzzle }) => checkGenerated(puzzle) }
+];
+
+/**
+ * The PUZZLE_CHECKS entries that apply to a puzzle and its results
+ */
+function applicableChecks(context) {
+  const expected = context.puzzle.expected || {};
+  return PUZZLE_CHECKS.filter(check => expected[check.key] !== undefined && (!check.needs || check.needs(context)));
+}
+
+/**
+ * One-line iteration comparison of an A* result against Dijkstra
+ */
+function describeSearchReduction(astar, dijkstra) {
+  const saved = dijkstra.iterations > 0 ? (1 - astar.iterations / dijkstra.iterations) * 100 : 0;
+  return `${astar.iterations} iterations vs Dijkstra ${dijkstra.iterations} (${saved.toFixed(1)}% fewer)`;
+}
+
+/**
+ * Prints the passed/failed summary box shared by the test and solve runs
+ */
+function printRunSummary(title, passed, failed) {
+  const boxWidth = 75;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+  const total = passed + failed;
+
+  printCentered('');
+  printCentered(border);
+  printCentered('|' + title.padStart(Math.floor((boxWidth - 2 + title.length) / 2)).padEnd(boxWidth - 2) + '|');
+  printCentered(border);
+  printCentered('|' + `  Passed: ${passed}     Failed: ${failed}`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  Total:  ${total}     Success Rate: ${total > 0 ? ((passed / total) * 100).toFixed(1) : '0.0'}%`.padEnd(boxWidth - 2) + '|');
+  printCentered(border);
+  printCentered('');
+}
+
+/**
+ * Runs the built-in test cases
+ * @param {Object} [options] - Run options:
+ *   output: 'text', or 'json'/'ndjson' for result records;
+ *   worst: also solve the worst path (record output only);
+ *   search: search for every test, by default each test's own;
+ *   top: also rank this many solutions per test (0 = off);
+ *   overlay: draw each solved route on the grid (text output);
+ *   svgFormats: also save each path as SVG, 'static' and/or 'animated' (text output);
+ *   html: also write an HTML report per test (solves the worst path)
+ * @returns {boolean} true if every test passed
+ */
+function runTests(options = {}) {
+  const { output = 'text', worst = false, search = null, top = 0, overlay = false, svgFormats = [], html = false } = options;
+  if (output !== 'text') {
+    const writer = createRecordWriter(output);
+    const records = testCases.map(testCase => buildResultRecord(testCase, testCase.rules || {}, {
+      worst: worst || html,
+      search: search || testCase.search,
+      top
+    }));
+    if (html) records.forEach(record => { record.report = htmlReportToFile(record); });
+    records.forEach(record => writer.write(record));
+    writer.end();
+    return records.every(record => record.passed);
+  }
+
   const boxWidth = 75;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -843,52 +3645,386 @@ function runTests() {
   let passed = 0;
   let failed = 0;
 
-  testCases.forEach((testCase, idx) => {
-    printCentered('='.repeat(70));
-    printCentered(`[TEST] ${testCase.name}`);
-    printCentered('-'.repeat(70));
-
-    visualizeMuseum(testCase.grid);
-
-    const startTime = performance.now();
-    const result = solveQuantumHeist(testCase.grid);
-    const endTime = performance.now();
+  testCases.forEach(testCase => {
+    if (runPuzzle(testCase, testCase.rules || {}, { search: search || testCase.search, top, overlay, svgFormats, html })) {
+      passed++;
+    } else {
+      failed++;
+    }
+  });
 
-    const gemCount = (testCase.grid.join('').match(/G/g) || []).length;
-    printSolution(result, gemCount, testCase.name.replace(/[^a-zA-Z0-9]/g, '_'));
+  printRunSummary('TEST SUMMARY', passed, failed);
+  return failed === 0;
+}
 
-    printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
+// ═══════════════════════════════════════════════════════════════════════════════
+// MACHINE-READABLE OUTPUT (--json / --ndjson)
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    if (testCase.expected.minTime !== 'calculate') {
-      const success = result.time === testCase.expected.minTime;
-      if (success) {
-        printCentered(`[PASSED] Expected ${testCase.expected.minTime}, Got ${result.time}`);
-        passed++;
+/**
+ * Collects result records: 'json' prints one array when done, 'ndjson'
+ * prints one line per record as soon as it is written
+ */
+function createRecordWriter(format) {
+  const records = [];
+  return {
+    write(record) {
+      if (format === 'ndjson') {
+        console.log(JSON.stringify(record));
       } else {
-        printCentered(`[FAILED] Expected ${testCase.expected.minTime}, Got ${result.time}`);
-        failed++;
+        records.push(record);
       }
-    } else {
-      printCentered(`[COMPUTED] Result = ${result.time} (manual verification needed)`);
-      passed++; // Count as passed for complex cases
+    },
+    end() {
+      if (format === 'json') {
+        console.log(JSON.stringify(records, null, 2));
+      }
+    }
+  };
+}
+
+/**
+ * Runs a solver and adds its wall-clock time to the result
+ */
+function timeSolver(solver, grid, rules, options) {
+  const startTime = performance.now();
+  const result = solver(grid, rules, options);
+  return { ...result, wallClockMs: Number((performance.now() - startTime).toFixed(2)) };
+}
+
+/**
+ * Solves a puzzle and returns a plain result record for JSON output
+ * @param {Object} puzzle - { name, grid, expected, file }
+ * @param {Object} [rules] - Rule overrides
+ * @param {Object} [which] - { best, worst } solvers to run (best only by default),
+ *   the best-path search (A* adds a Dijkstra `baseline` for comparison) and
+ *   `top`, the number of ranked solutions to add (0 = none)
+ * @returns {Object} { name, file, grid, rules, best, worst, baseline, top, difficulty,
+ *   explanation, expected, passed, report } where explanation is set when the
+ *   puzzle is valid but has no solution and report is left for the caller
+ *   to fill in with an HTML report file name
+ */
+function buildResultRecord(puzzle, rules = {}, which = {}) {
+  const { best: withBest = true, worst: withWorst = false, search = 'dijkstra', top: topK = 0 } = which;
+  const expectsWorst = !!puzzle.expected && puzzle.expected.worstTime !== undefined;
+  const best = withBest ? timeSolver(solveQuantumHeist, puzzle.grid, rules, { search }) : null;
+  const worst = withWorst || expectsWorst ? timeSolver(solveWorstPath, puzzle.grid, rules) : null;
+  const check = best ? checkPuzzleResult(puzzle, best, rules) : { expected: 'calculate', passed: true };
+
+  let baseline = null;
+  if (best && search === 'astar') {
+    const { time, iterations, statesExplored, wallClockMs } = timeSolver(solveQuantumHeist, puzzle.grid, rules);
+    baseline = { search: 'dijkstra', time, iterations, statesExplored, wallClockMs };
+    check.passed = check.passed && time === best.time;
+  }
+
+  // optimalCount is a BigInt, which JSON cannot hold: records carry it as a string
+  let top = null;
+  let ranking = null;
+  const expectsRoutes = !!puzzle.expected && puzzle.expected.optimalRoutes !== undefined;
+  if (topK > 0 || expectsRoutes) {
+    ranking = timeSolver(solveTopPaths, puzzle.grid, rules, { k: topK || 1 });
+    top = { k: topK || 1, ...ranking, optimalCount: ranking.optimalCount === null ? null : String(ranking.optimalCount) };
+  }
+
+  const explanation = best && best.time === -1 && !best.errors ? explainUnsolvable(puzzle.grid, rules) : null;
+  const context = { puzzle, rules, best, worst, ranking, explanation };
+  check.passed = check.passed && applicableChecks(context).every(puzzleCheck => puzzleCheck.run(context).passed);
+
+  return {
+    name: puzzle.name,
+    file: puzzle.file || null,
+    grid: puzzle.grid,
+    rules: resolveRules(rules).rules,
+    best,
+    worst,
+    baseline,
+    top,
+    difficulty: best ? scoreDifficulty(puzzle.grid, rules, { best, worst, top: ranking, baseline }) : null,
+    explanation,
+    expected: check.expected,
+    passed: check.passed,
+    report: null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HTML REPORT (--html) - One self-contained page per puzzle
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const HTML_REPORT_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 24px auto; max-width: 1100px; color: #263238; padding: 0 16px; }
+h1 { margin-bottom: 4px; } h2 { border-bottom: 1px solid #cfd8dc; padding-bottom: 4px; margin-top: 32px; }
+.meta { color: #607d8b; margin-top: 0; } .pass { color: #2e7d32; font-weight: bold; } .fail { color: #c62828; font-weight: bold; }
+table { border-collapse: collapse; margin: 8px 0; } th, td { border: 1px solid #cfd8dc; padding: 4px 10px; text-align: left; }
+th { background: #eceff1; } td.num { text-align: right; font-family: monospace; }
+.controls { display: flex; gap: 6px; align-items: center; flex-wrap: wrap; margin: 8px 0; }
+.controls input[type=range] { flex: 1; min-width: 160px; }
+.hud { font-family: monospace; margin: 8px 0; white-space: pre-wrap; }
+.board { display: inline-grid; gap: 1px; background: #cfd8dc; border: 1px solid #cfd8dc; font: bold 12px monospace; }
+.board div { width: 26px; height: 26px; display: flex; align-items: center; justify-content: center; background: #f4f4ef; }
+.board .wall { background: #37474f; color: #37474f; } .board .start, .board .exit { background: #43a047; color: #fff; }
+.board .gem { color: #26a69a; } .board .key { color: #00acc1; } .board .door { background: #f9a825; color: #fff; }
+.board .portal { color: #ab47bc; } .board .laser { color: #e53935; } .board .rift { color: #1e88e5; }
+.board .firing { background: #ffcdd2; } .board .trail { background: #ffe0b2; } .board .taken { opacity: 0.3; }
+.board .thief { background: #d81b60; color: #fff; }
+.compare { display: flex; gap: 16px; flex-wrap: wrap; align-items: flex-start; } .compare svg { max-width: 100%; height: auto; }
+pre { background: #eceff1; padding: 8px; display: inline-block; }
+`;
+
+// Replay player; reads the JSON block written by renderHtmlReport
+const HTML_REPORT_SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var board = document.getElementById('board');
+  if (!board) return;
+  var kinds = { S: 'start', E: 'exit', G: 'gem', K: 'key', D: 'door', P: 'portal', O: 'portal', L: 'laser', T: 'rift', '#': 'wall' };
+  var start = null;
+  var tiles = [];
+  board.style.gridTemplateColumns = 'repeat(' + data.cells[0].length + ', 26px)';
+  data.cells.forEach(function (row, r) {
+    tiles.push(row.map(function (cell, c) {
+      var div = document.createElement('div');
+      div.dataset.kind = kinds[cell[0]] || 'floor';
+      div.textContent = cell === '.' ? '' : cell;
+      board.appendChild(div);
+      if (cell === 'S') start = { r: r, c: c };
+      return div;
+    }));
+  });
+
+  var select = document.getElementById('path-select');
+  var slider = document.getElementById('scrub');
+  var hud = document.getElementById('hud');
+  var playButton = document.getElementById('play');
+  var speed = document.getElementById('speed');
+  var path = [];
+  var step = 0;
+  var timer = null;
+
+  function render() {
+    var current = step === 0 ? { to: start, time: 0, gemsCollected: 0, riftUsed: false, description: 'Start' } : path[step - 1];
+    var trail = {};
+    var taken = {};
+    var keys = 0;
+    trail[start.r + ',' + start.c] = true;
+    for (var i = 0; i < step; i++) {
+      var cell = path[i].to.r + ',' + path[i].to.c;
+      trail[cell] = true;
+      if (path[i].gemsCollected > (i > 0 ? path[i - 1].gemsCollected : 0) || path[i].keyCollected !== null) taken[cell] = true;
+      if (path[i].keyCollected !== null) keys++;
     }
+    var firing = current.time % data.laserPeriod === 0;
+    tiles.forEach(function (row, r) {
+      row.forEach(function (div, c) {
+        var key = r + ',' + c;
+        var classes = [div.dataset.kind];
+        if (trail[key] && div.dataset.kind === 'floor') classes.push('trail');
+        if (taken[key]) classes.push('taken');
+        if (firing && div.dataset.kind === 'laser') classes.push('firing');
+        if (r === current.to.r && c === current.to.c) classes.push('thief');
+        div.className = classes.join(' ');
+      });
+    });
+    slider.value = step;
+    hud.textContent = 'Step ' + step + '/' + path.length + '   t=' + current.time +
+      '   Gems ' + current.gemsCollected + '/' + data.totalGems + '   Keys ' + keys +
+      '   Rift ' + (current.riftUsed ? 'used' : 'unused') + (data.lasers ? '   Lasers ' + (firing ? 'FIRING' : 'off') : '') +
+      '\\n' + current.description;
+  }
+
+  function go(to) {
+    step = Math.max(0, Math.min(path.length, to));
+    if (step === path.length) pause();
+    render();
+  }
+  function pause() {
+    clearInterval(timer);
+    timer = null;
+    playButton.textContent = 'Play';
+  }
+  function play() {
+    if (step === path.length) go(0);
+    clearInterval(timer);
+    timer = setInterval(function () { go(step + 1); }, Number(speed.value));
+    playButton.textContent = 'Pause';
+  }
+  function load() {
+    pause();
+    path = data.paths[select.value];
+    slider.max = path.length;
+    go(0);
+  }
+
+  playButton.onclick = function () { timer ? pause() : play(); };
+  document.getElementById('first').onclick = function () { pause(); go(0); };
+  document.getElementById('back').onclick = function () { pause(); go(step - 1); };
+  document.getElementById('forward').onclick = function () { pause(); go(step + 1); };
+  document.getElementById('last').onclick = function () { go(path.length); };
+  slider.oninput = function () { pause(); go(Number(slider.value)); };
+  speed.onchange = function () { if (timer) play(); };
+  select.onchange = load;
+  document.addEventListener('keydown', function (event) {
+    if (event.target.tagName === 'SELECT') return;
+    if (event.key === ' ') { event.preventDefault(); timer ? pause() : play(); }
+    if (event.key === 'ArrowLeft') { pause(); go(step - 1); }
+    if (event.key === 'ArrowRight') { pause(); go(step + 1); }
   });
+  load();
+})();
+`;
+
+/**
+ * Renders a result record (buildResultRecord) as one HTML page with no
+ * network assets: a replay of the best and worst paths with play, pause,
+ * step and a timeline slider, the two routes side by side as SVG with the
+ * diffPaths segment table, the solver statistics and, for a puzzle with no
+ * solution, the explanation. The page works without Node or a server.
+ * @param {Object} record - Result record, ideally with the worst path solved
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(record) {
+  const { best, worst } = record;
+  const solved = result => !!result && result.time !== -1 && result.path.length > 0;
+  const museum = parseMuseum(record.grid);
+  const cell = className => value => `<td${className}>${value === null || value === undefined ? '-' : escapeXml(value)}</td>`;
+  const num = cell(' class="num"');
+  const text = cell('');
+  const row = (label, ...cells) => `<tr><th>${escapeXml(label)}</th>${cells.join('')}</tr>`;
+  const paths = {};
+  if (solved(best)) paths.best = best.path;
+  if (solved(worst)) paths.worst = worst.path;
+
+  const out = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Quantum Heist report - ${escapeXml(record.name)}</title>`,
+    `<style>${HTML_REPORT_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeXml(record.name)}</h1>`,
+    `<p class="meta">${record.file ? `${escapeXml(record.file)} &middot; ` : ''}Generated ${new Date().toISOString()} &middot; ` +
+      `Expected ${escapeXml(record.expected)} &middot; <span class="${record.passed ? 'pass' : 'fail'}">${record.passed ? 'PASSED' : 'FAILED'}</span></p>`
+  ];
+
+  // Replay
+  if (Object.keys(paths).length > 0 && museum.errors.length === 0) {
+    const options = Object.keys(paths).map(name => `<option value="${name}">${name === 'best' ? 'Best' : 'Worst'} path (time ${name === 'best' ? best.time : worst.time})</option>`);
+    const speeds = [[800, '0.25x'], [400, '0.5x'], [200, '1x'], [100, '2x'], [50, '4x']]
+      .map(([ms, label]) => `<option value="${ms}"${ms === 200 ? ' selected' : ''}>${label}</option>`);
+    out.push(
+      '<h2>Replay</h2>',
+      '<div class="controls">',
+      `<select id="path-select">${options.join('')}</select>`,
+      '<button id="first" title="First step">|&lt;</button><button id="back" title="Step back (Left)">&lt;</button>',
+      '<button id="play" title="Play or pause (Space)">Play</button>',
+      '<button id="forward" title="Step forward (Right)">&gt;</button><button id="last" title="Last step">&gt;|</button>',
+      `<select id="speed" title="Speed">${speeds.join('')}</select>`,
+      '<input id="scrub" type="range" min="0" value="0" title="Timeline">',
+      '</div>',
+      '<div id="hud" class="hud"></div>',
+      '<div id="board" class="board"></div>'
+    );
+  }
+
+  // Best vs worst
+  if (solved(best) || solved(worst)) {
+    out.push('<h2>Best vs Worst</h2>', '<div class="compare">');
+    [['best', best], ['worst', worst]].filter(([, result]) => solved(result)).forEach(([pathType, result]) => {
+      const title = `${pathType === 'best' ? 'Best' : 'Worst'} path, time ${result.time}`;
+      const svg = renderPathSvg(record.grid, result.path, { title, rules: record.rules, idPrefix: `${pathType}-` });
+      out.push(`<div>${svg.replace(/^<\?xml[^>]*>\n/, '')}</div>`);
+    });
+    out.push('</div>');
+    if (solved(best) && solved(worst)) {
+      const diff = diffPaths(record.grid, best.path, worst.path);
+      const total = diff.worstTime - diff.bestTime;
+      out.push(
+        `<p>The worst route takes ${total} time units longer, with ${diff.divergences.length} divergence${diff.divergences.length === 1 ? '' : 's'} from the best route.</p>`,
+        '<table><tr><th>#</th><th>Route</th><th>From</th><th>To</th><th>Best</th><th>Worst</th><th>Delta</th></tr>',
+        ...diff.segments.map((segment, i) => `<tr><td class="num">${i + 1}</td><td>${segment.shared ? 'shared' : 'split'}</td>` +
+          `<td>(${segment.start.r},${segment.start.c})</td><td>(${segment.end.r},${segment.end.c})</td>` +
+          `${num(segment.best.time)}${num(segment.worst.time)}${num(`${segment.delta >= 0 ? '+' : ''}${segment.delta}`)}</tr>`),
+        '</table>'
+      );
+    }
+  }
+
+  // Solver statistics
+  const stat = (result, pick, format = num) => format(result ? pick(result) : null);
+  out.push(
+    '<h2>Solver Statistics</h2>',
+    '<table><tr><th></th><th>Best</th><th>Worst</th></tr>',
+    row('Time', stat(best, r => (r.time === -1 ? 'none' : r.time)), stat(worst, r => (r.time === -1 ? 'none' : r.time))),
+    row('Steps', stat(best, r => r.path.length), stat(worst, r => r.path.length)),
+    row('Iterations', stat(best, r => r.iterations), stat(worst, r => r.iterations)),
+    row('States explored', stat(best, r => r.statesExplored), stat(worst, r => r.statesExplored)),
+    row('Wall clock (ms)', stat(best, r => r.wallClockMs.toFixed(2)), stat(worst, r => r.wallClockMs.toFixed(2))),
+    row('Exact', stat(best, r => (r.exact === undefined ? null : r.exact ? 'yes' : 'no (search limit reached)'), text),
+      stat(worst, r => (r.exact === undefined ? null : r.exact ? 'yes' : 'no (search limit reached)'), text)),
+    row('Result', stat(best, r => r.message, text), stat(worst, r => r.message, text)),
+    '</table>',
+    '<table>'
+  );
+  if (record.difficulty) {
+    out.push(row('Difficulty', text(record.difficulty.score === null ? record.difficulty.label : `${record.difficulty.score}/100 (${record.difficulty.label})`)));
+    if (record.difficulty.mechanics.length > 0) out.push(row('Mechanics used', text(record.difficulty.mechanics.join(', '))));
+  }
+  if (record.baseline) {
+    out.push(row('Dijkstra baseline', text(`time ${record.baseline.time}, ${record.baseline.iterations} iterations, ${record.baseline.wallClockMs.toFixed(2)} ms`)));
+  }
+  if (record.top) {
+    out.push(row('Optimal routes', text(record.top.optimalCount === null ? 'unknown (limit reached)' : record.top.optimalCount)));
+  }
+  out.push(row('Rules', text(Object.keys(record.rules).map(name => `${name}=${record.rules[name]}`).join(', '))), '</table>');
+
+  // Problems with the puzzle itself
+  if (best && best.errors && best.errors.length > 0) {
+    out.push('<h2>Invalid Puzzle</h2>', '<ul>', ...best.errors.map(err => `<li>${escapeXml(err.message)}</li>`), '</ul>');
+  }
+  if (record.explanation) {
+    out.push(
+      '<h2>Why There Is No Solution</h2>',
+      '<ul>', ...record.explanation.reasons.map(reason => `<li>${escapeXml(reason.message)}</li>`), '</ul>',
+      '<p>Cells reachable from the start (o = reached, x = never reached, # = wall):</p>',
+      `<pre>${escapeXml(record.explanation.reachability.join('\n'))}</pre>`
+    );
+  }
 
-  printCentered('');
-  printCentered(border);
-  printCentered('|' + 'TEST SUMMARY'.padStart(Math.floor((boxWidth - 2 + 12) / 2)).padEnd(boxWidth - 2) + '|');
-  printCentered(border);
-  printCentered('|' + `  Passed: ${passed}     Failed: ${failed}`.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + `  Total:  ${passed + failed}     Success Rate: ${((passed / (passed + failed)) * 100).toFixed(1)}%`.padEnd(boxWidth - 2) + '|');
-  printCentered(border);
-  printCentered('');
+  const data = { cells: museum.grid, laserPeriod: record.rules.laserPeriod, lasers: museum.lasers.length, totalGems: museum.gems.length, paths };
+  out.push(
+    `<script type="application/json" id="report-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`,
+    `<script>${HTML_REPORT_SCRIPT}</script>`,
+    '</body>',
+    '</html>'
+  );
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Writes renderHtmlReport's page to report_<puzzle>_<timestamp>.html
+ * @returns {string} File name
+ */
+function htmlReportToFile(record) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportFileName = `report_${String(record.name).replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.html`;
+
+  fs.writeFileSync(reportFileName, renderHtmlReport(record));
+  return reportFileName;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 8: COMPLEXITY ANALYSIS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function printComplexityAnalysis() {
+/**
+ * Prints the state space and complexity of the best-path search; the laser
+ * phase count is the active laserPeriod
+ */
+function printComplexityAnalysis(rules = {}) {
+  const { laserPeriod } = resolveRules(rules).rules;
   const boxWidth = 75;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -903,8 +4039,9 @@ function printComplexityAnalysis() {
   printCentered('|' + '  - Keys collected: 2^K states (bitmask)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  - Portals used: 2^P states (bitmask)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  - Time rift: 2 states (used/not used)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  - Laser phase: ${laserPeriod} state${laserPeriod === 1 ? '' : 's'} (time % ${laserPeriod})`.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  TOTAL STATES: O(R x C x 2^G x 2^K x 2^P x 2)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  TOTAL STATES: O(R x C x 2^G x 2^K x 2^P x 2 x ${laserPeriod})`.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
   printCentered('|' + '  TIME COMPLEXITY:'.padEnd(boxWidth - 2) + '|');
@@ -914,8 +4051,8 @@ function printComplexityAnalysis() {
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
   printCentered('|' + '  SPACE COMPLEXITY:'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  - Visited map: O(States)'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  - Parent map: O(States)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  - Visited/parent tables: O(States), typed arrays by state index'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '    (Maps keyed by state hash when the space exceeds 2^24)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  - Priority queue: O(States)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  - Total: O(R x C x 2^(G+K+P))'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
@@ -927,6 +4064,68 @@ function printComplexityAnalysis() {
   printCentered('|' + '  4. Priority Queue (Min-Heap)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  5. Memoization (visited states)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  6. Temporal Constraints (laser timing)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  7. A* Search (admissible gem/exit bound, --astar)'.padEnd(boxWidth - 2) + '|');
+  printCentered(border);
+  printCentered('');
+}
+
+/**
+ * Times full solves of a grid before and after the per-cell index: once
+ * with the linear scans over the item lists the solver used to make on
+ * every expansion, once through museum.index. Each side keeps its fastest
+ * of several runs, and both must find the same time in the same number of
+ * iterations.
+ * @param {string[]} grid - Museum grid
+ * @param {number} [runs] - Solves per lookup mode
+ * @returns {Object} { cells, runs, scanMs, indexMs, speedup, consistent, time, iterations }
+ */
+function benchmarkCellLookup(grid, runs = 3) {
+  const museum = parseMuseum(grid);
+  const timeSolves = cellLookup => {
+    let fastest = null;
+    for (let i = 0; i < runs; i++) {
+      const solved = timeSolver(solveQuantumHeist, grid, {}, { cellLookup });
+      if (!fastest || solved.wallClockMs < fastest.wallClockMs) fastest = solved;
+    }
+    return fastest;
+  };
+
+  const scan = timeSolves('scan');
+  const index = timeSolves('index');
+
+  return {
+    cells: museum.rows * museum.cols,
+    runs,
+    scanMs: scan.wallClockMs,
+    indexMs: index.wallClockMs,
+    speedup: Number((scan.wallClockMs / Math.max(index.wallClockMs, 0.01)).toFixed(1)),
+    consistent: scan.time === index.time && scan.iterations === index.iterations,
+    time: index.time,
+    iterations: index.iterations || 0
+  };
+}
+
+/**
+ * Prints the cell lookup benchmark for one puzzle
+ * @param {string} name - Puzzle name
+ * @param {Object} bench - Result of benchmarkCellLookup
+ */
+function printLookupBenchmark(name, bench) {
+  const boxWidth = 60;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+  const line = text => printCentered('|' + text.padEnd(boxWidth - 2) + '|');
+
+  printCentered('');
+  printCentered(border);
+  line('  CELL LOOKUP BENCHMARK');
+  printCentered(border);
+  line(`  Puzzle: ${name}`.slice(0, boxWidth - 2));
+  line(`  Full solves: ${bench.cells} cells, fastest of ${bench.runs} runs`);
+  line(`  Solution: time ${bench.time}, ${bench.iterations} iterations`);
+  line('');
+  line(`  Linear scans:   ${bench.scanMs.toFixed(2).padStart(9)} ms`);
+  line(`  Cell index:     ${bench.indexMs.toFixed(2).padStart(9)} ms`);
+  line(`  Speedup:        ${bench.speedup}x${bench.consistent ? '' : '  (RESULTS DIFFER!)'}`);
   printCentered(border);
   printCentered('');
 }
@@ -957,153 +4156,941 @@ function clearScreen() {
 }
 
 /**
- * Animate the path through the grid
+ * Clears the screen and prints lines as one block centered in the terminal
  */
-async function animatePath(grid, path, pathType = 'best') {
-  const gridState = grid.map(row => row.split(''));
-  const rows = gridState.length;
-  const cols = gridState[0].length;
+function drawScreen(lines) {
+  const pad = ' '.repeat(Math.max(0, Math.floor((getTerminalWidth() - lines[0].length) / 2)));
+  clearScreen();
+  process.stdout.write(lines.map(text => pad + text).join('\n') + '\n');
+}
 
-  // Find start position
-  let playerR = 0, playerC = 0;
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      if (gridState[r][c] === 'S') {
-        playerR = r;
-        playerC = c;
-      }
+/**
+ * Sends stdin keypresses, in raw mode, to onKeypress(str, key) instead of
+ * any readline interface (the menu's) until the returned function is called
+ * @returns {Function} Gives the keyboard back
+ */
+function takeKeyboard(onKeypress) {
+  const input = process.stdin;
+  readline.emitKeypressEvents(input);
+  const otherListeners = input.listeners('keypress');
+  input.removeAllListeners('keypress');
+  const wasRaw = input.isRaw;
+  input.setRawMode(true);
+  input.resume();
+  input.on('keypress', onKeypress);
+
+  return () => {
+    input.removeListener('keypress', onKeypress);
+    otherListeners.forEach(listener => input.on('keypress', listener));
+    input.setRawMode(wasRaw);
+    if (otherListeners.length === 0) input.pause();
+  };
+}
+
+// Frame delays for the +/- speed keys; 150 ms is normal speed
+const ANIMATION_DELAYS = [1000, 600, 300, 150, 80, 40, 20];
+const ANIMATION_NORMAL_SPEED = 3;
+const TIMELINE_WIDTH = 40;
+
+/**
+ * Builds one animation frame per step (plus the start): position, time and
+ * everything used up so far, so playback can jump to any step and back
+ * @returns {Object} { museum, frames: [{ step, r, c, time, gems, keys,
+ *   portals, riftUsed, collected, event, action }] }
+ */
+function buildAnimationFrames(grid, path) {
+  const museum = parseMuseum(grid);
+  const cols = museum.cols;
+  let frame = {
+    step: 0,
+    r: museum.start.r,
+    c: museum.start.c,
+    time: 0,
+    gems: 0,
+    keys: [],
+    portals: [],
+    riftUsed: false,
+    collected: new Set(), // Cells whose gem or key was picked up
+    event: null,
+    action: 'Starting...'
+  };
+  const frames = [frame];
+
+  path.forEach((step, i) => {
+    const { type, from, to } = step;
+    const collected = new Set(frame.collected);
+    const keys = frame.keys.slice();
+    const portals = frame.portals.slice();
+    let event = null;
+    let action = step.description;
+
+    if (type === 'portal') {
+      const portal = museum.index.portals[from.r * cols + from.c];
+      const channel = portal ? museum.portalChannels[portal.channel] : null;
+      const name = channel ? `P${channel.label || channel.id + 1}` : 'P';
+      if (!portals.includes(name)) portals.push(name);
+      event = 'P';
+      action = `🌀 TELEPORT ${name} to (${to.r},${to.c})`;
+    } else if (type === 'wait') {
+      action = `⏳ WAITING at (${to.r},${to.c})`;
+    } else if (type === 'rift') {
+      event = 'R';
+      action = `⏪ TIME REWIND! t=${frame.time} -> t=${step.time}`;
+    }
+
+    // Pick up whatever the step collected
+    if (step.gemsCollected > frame.gems) {
+      collected.add(to.r * cols + to.c);
+      event = event || 'G';
+      action += ' [+GEM]';
+    }
+    if (step.keyCollected !== null) {
+      collected.add(to.r * cols + to.c);
+      keys.push(`K${museum.keys[step.keyCollected].label || ''}`);
+      event = event || 'K';
+      action += ' [+KEY]';
+    }
+
+    frame = {
+      step: i + 1,
+      r: to.r,
+      c: to.c,
+      time: step.time,
+      gems: step.gemsCollected,
+      keys,
+      portals,
+      riftUsed: step.riftUsed,
+      collected,
+      event,
+      action
+    };
+    frames.push(frame);
+  });
+
+  frames[frames.length - 1] = { ...frame, action: `${frame.action}  🎉 COMPLETE!` };
+  return { museum, frames };
+}
+
+/**
+ * Creates the playback state for frameCount frames: playing from frame 0 at
+ * normal speed (speed indexes ANIMATION_DELAYS)
+ */
+function createPlayer(frameCount) {
+  return { frame: 0, frameCount, playing: true, speed: ANIMATION_NORMAL_SPEED };
+}
+
+/**
+ * Handles one playback keypress (readline's (str, key) pair).
+ * @returns {string|null} 'quit' when playback should stop
+ */
+function animationKeypress(player, str, key = {}) {
+  const name = key.name || str;
+  const last = player.frameCount - 1;
+  const jumpTo = frame => {
+    player.frame = Math.max(0, Math.min(last, frame));
+    player.playing = false;
+  };
+
+  if (name === 'q' || name === 'escape' || (key.ctrl && name === 'c')) return 'quit';
+  if (name === 'space') {
+    if (!player.playing && player.frame === last) player.frame = 0; // Replay from the start
+    player.playing = !player.playing;
+  } else if (name === 'right') {
+    jumpTo(player.frame + 1);
+  } else if (name === 'left') {
+    jumpTo(player.frame - 1);
+  } else if (name === ']') {
+    jumpTo(player.frame + Math.max(1, Math.round(last / 10)));
+  } else if (name === '[') {
+    jumpTo(player.frame - Math.max(1, Math.round(last / 10)));
+  } else if (name === 'home') {
+    jumpTo(0);
+  } else if (name === 'end') {
+    jumpTo(last);
+  } else if (/^[0-9]$/.test(name)) {
+    jumpTo(Math.round(last * Number(name) / 10));
+  } else if (name === '+' || name === '=') {
+    player.speed = Math.min(ANIMATION_DELAYS.length - 1, player.speed + 1);
+  } else if (name === '-' || name === '_') {
+    player.speed = Math.max(0, player.speed - 1);
+  }
+  return null;
+}
+
+/**
+ * Plays frames 0..frameCount-1, calling draw(player) for each one shown.
+ * In a terminal, playback is interactive: Space pauses, arrows step, [ ] and
+ * 0-9 scrub the timeline, +/- change the speed and Q returns. Without a
+ * terminal the frames play through once.
+ */
+async function playFrames(frameCount, draw) {
+  const player = createPlayer(frameCount);
+
+  if (!process.stdin.isTTY) {
+    for (; player.frame < frameCount; player.frame++) {
+      player.playing = player.frame < frameCount - 1;
+      draw(player);
+      await sleep(player.frame === 0 ? 1000 : ANIMATION_DELAYS[player.speed]);
     }
+    await sleep(2000);
+    return;
   }
 
-  // Track collected items
-  let gemsCollected = 0;
-  let keysCollected = 0;
-  let totalGems = (grid.join('').match(/G/g) || []).length;
+  await new Promise(resolve => {
+    let timer = null;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = player.playing ? setTimeout(tick, ANIMATION_DELAYS[player.speed]) : null;
+    };
+    const tick = () => {
+      player.frame = Math.min(frameCount - 1, player.frame + 1);
+      if (player.frame === frameCount - 1) player.playing = false;
+      draw(player);
+      schedule();
+    };
+    const release = takeKeyboard((str, key) => {
+      if (animationKeypress(player, str, key) === 'quit') {
+        clearTimeout(timer);
+        release();
+        resolve();
+        return;
+      }
+      draw(player);
+      schedule();
+    });
+    draw(player);
+    schedule();
+  });
+}
+
+/**
+ * Animate the path through the grid, with the playback controls of playFrames
+ */
+async function animatePath(grid, path, pathType = 'best', rules = {}) {
+  const { laserPeriod } = resolveRules(rules).rules;
+  const { museum, frames } = buildAnimationFrames(grid, path);
+  await playFrames(frames.length, player => {
+    clearScreen();
+    printAnimationFrame(museum, frames, player, pathType, laserPeriod);
+  });
+}
+
+/**
+ * Animate two paths side by side in lockstep: both advance one step per
+ * frame, and the shorter one waits at the exit
+ */
+async function animateComparison(grid, bestPath, worstPath, rules = {}) {
+  const { laserPeriod } = resolveRules(rules).rules;
+  const best = buildAnimationFrames(grid, bestPath);
+  const worst = buildAnimationFrames(grid, worstPath);
+  await playFrames(Math.max(best.frames.length, worst.frames.length), player => {
+    clearScreen();
+    printComparisonFrame(best.museum, best.frames, worst.frames, player, laserPeriod);
+  });
+}
 
-  // Animation speed (ms per frame)
-  const frameDelay = 150;
+/**
+ * Grid rows for one frame: the player (@), firing lasers (*) and collected
+ * items cleared
+ */
+function renderFrameGrid(museum, frame, laserPeriod) {
+  const lasersFiring = frame.time % laserPeriod === 0;
+  return museum.grid.map((row, r) => row.map((cell, c) => {
+    if (r === frame.r && c === frame.c) return '@ ';  // Player character
+    if (frame.collected.has(r * museum.cols + c)) return '. ';
+    if (cell === 'L' && lasersFiring) return '* ';
+    return cell.padEnd(2);
+  }).join(''));
+}
 
-  // Initial frame
-  clearScreen();
-  printAnimationFrame(gridState, playerR, playerC, 0, path.length, gemsCollected, totalGems, keysCollected, pathType, 'Starting...');
-  await sleep(1000);
-
-  // Animate each step
-  for (let step = 0; step < path.length; step++) {
-    const action = path[step];
-
-    // Parse the action to get new position
-    let newR = playerR, newC = playerC;
-    let actionDesc = action;
-
-    if (action.includes('Move UP')) {
-      newR = playerR - 1;
-    } else if (action.includes('Move DOWN')) {
-      newR = playerR + 1;
-    } else if (action.includes('Move LEFT')) {
-      newC = playerC - 1;
-    } else if (action.includes('Move RIGHT')) {
-      newC = playerC + 1;
-    } else if (action.includes('PORTAL')) {
-      // Extract portal destination
-      const match = action.match(/\((\d+),(\d+)\)/);
-      if (match) {
-        newR = parseInt(match[1]);
-        newC = parseInt(match[2]);
+/**
+ * HUD lines for one frame: time and inventory, laser state, used portals and rift
+ */
+function describeFrame(museum, frame, laserPeriod) {
+  const lines = [`Time: ${frame.time}   Gems: ${frame.gems}/${museum.gems.length}   Keys: ${frame.keys.join(' ') || 'none'}`];
+  if (museum.lasers.length > 0) {
+    const next = (Math.floor(frame.time / laserPeriod) + 1) * laserPeriod;
+    lines.push(frame.time % laserPeriod === 0
+      ? `Lasers: FIRING at t=${frame.time} (shown as *)`
+      : `Lasers: off, next fire at t=${next}`);
+  }
+  const rift = museum.timeRifts.length === 0 ? 'none' : frame.riftUsed ? 'used' : 'unused';
+  lines.push(`Portals used: ${frame.portals.join(' ') || 'none'}   Rift: ${rift}`);
+  return lines;
+}
+
+/**
+ * Playback state for the HUD: PLAYING / PAUSED / FINISHED and the speed
+ */
+function describePlayback(player) {
+  const speed = ANIMATION_DELAYS[ANIMATION_NORMAL_SPEED] / ANIMATION_DELAYS[player.speed];
+  const status = player.playing ? 'PLAYING' : player.frame === player.frameCount - 1 ? 'FINISHED' : 'PAUSED';
+  return `${status} x${+speed.toFixed(2)}`;
+}
+
+/**
+ * Print a single animation frame: the grid, then the HUD and the timeline
+ */
+function printAnimationFrame(museum, frames, player, pathType, laserPeriod) {
+  const width = 66;
+  const border = '+' + '='.repeat(width - 2) + '+';
+  const line = text => centerTextSimple('|' + `  ${text}`.padEnd(width - 2).substring(0, width - 2) + '|', 80);
+  const frame = frames[player.frame];
+  const last = frames.length - 1;
+
+  console.log('');
+  console.log(centerTextSimple(border, 80));
+  console.log(line(`CHALLENGE 2 - ${pathType.toUpperCase()} PATH SIMULATION`));
+  console.log(centerTextSimple(border, 80));
+  console.log('');
+  renderFrameGrid(museum, frame, laserPeriod).forEach(row => console.log(centerTextSimple('  ' + row, 80)));
+  console.log('');
+  console.log(centerTextSimple(border, 80));
+
+  // Progress bar
+  const progress = last > 0 ? Math.floor((player.frame / last) * 20) : 20;
+  const progressBar = '[' + '█'.repeat(progress) + '░'.repeat(20 - progress) + ']';
+  console.log(line(`Step: ${frame.step}/${last}  ${progressBar}  ${describePlayback(player)}`));
+  describeFrame(museum, frame, laserPeriod).forEach(text => console.log(line(text)));
+  console.log(line(`Action: ${frame.action}`));
+
+  // Timeline: events along the path (Portal, Rift, Gem, Key), | marks the current step
+  const slots = Math.min(TIMELINE_WIDTH, Math.max(1, last));
+  const timeline = new Array(slots).fill('-');
+  frames.forEach(({ step, event }) => {
+    const slot = Math.min(slots - 1, Math.floor((step - 1) * slots / Math.max(1, last)));
+    if (event && step > 0 && (timeline[slot] === '-' || 'PR'.includes(event))) timeline[slot] = event;
+  });
+  const at = player.frame === 0 ? 0 : Math.min(slots - 1, Math.floor((player.frame - 1) * slots / Math.max(1, last)));
+  timeline[at] = '|';
+  console.log(line(`t [${timeline.join('')}]`));
+  console.log(centerTextSimple(border, 80));
+  console.log('');
+  console.log(centerTextSimple('@ = Player   * = Laser firing   Timeline: P/R/G/K = portal/rift/gem/key', 80));
+  console.log(centerTextSimple('Space pause   <- -> step   [ ] 0-9 scrub   +/- speed   Q back', 80));
+}
+
+/**
+ * Print one lockstep frame of two paths side by side (best left, worst right)
+ */
+function printComparisonFrame(museum, bestFrames, worstFrames, player, laserPeriod) {
+  const panelWidth = Math.max(37, museum.cols * 2 + 2);
+  const screenWidth = Math.max(80, panelWidth * 2 + 5);
+  const border = '+' + '='.repeat(panelWidth * 2 + 3) + '+';
+  const cell = text => text.padEnd(panelWidth).substring(0, panelWidth);
+  const row = (left, right) => centerTextSimple('|' + cell(left) + ' |' + cell(right) + ' |', screenWidth);
+  const panel = (frames, title) => {
+    const frame = frames[Math.min(player.frame, frames.length - 1)];
+    return {
+      frame,
+      lines: [
+        ` ${title} - step ${frame.step}/${frames.length - 1}${frame.step === frames.length - 1 ? ' (done)' : ''}`,
+        '',
+        ...renderFrameGrid(museum, frame, laserPeriod).map(text => ' ' + text),
+        '',
+        ...describeFrame(museum, frame, laserPeriod).map(text => ' ' + text),
+        ` ${frame.action}`
+      ]
+    };
+  };
+  const best = panel(bestFrames, 'BEST PATH');
+  const worst = panel(worstFrames, 'WORST PATH');
+
+  console.log('');
+  console.log(centerTextSimple(border, screenWidth));
+  for (let i = 0; i < Math.max(best.lines.length, worst.lines.length); i++) {
+    console.log(row(best.lines[i] || '', worst.lines[i] || ''));
+  }
+  console.log(centerTextSimple(border, screenWidth));
+  const gap = worst.frame.time - best.frame.time;
+  console.log(centerTextSimple(`Step ${player.frame}/${player.frameCount - 1}   ${describePlayback(player)}   ` +
+    `Time gap (worst - best): ${gap >= 0 ? '+' : ''}${gap}`, screenWidth));
+  console.log('');
+  console.log(centerTextSimple('Space pause   <- -> step   [ ] 0-9 scrub   +/- speed   Q back', screenWidth));
+}
+
+/**
+ * Simple center text helper for animation
+ */
+function centerTextSimple(text, width) {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return ' '.repeat(padding) + text;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEVEL EDITOR - Full-screen grid editing with live solving
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Cell placed by each editor key; K, D, P and O take their label from the next key
+const EDITOR_TILES = { s: 'S', e: 'E', g: 'G', k: 'K', d: 'D', p: 'P', o: 'O', l: 'L', t: 'T', '#': '#', '.': '.', space: '.' };
+const EDITOR_NEW_LEVEL = ['S.........', '..........', '..........', '..........', '..........', '.........E'];
+const EDITOR_MAX_SIZE = 50;
+const EDITOR_SOLVE_LIMIT = 200000; // Keeps live solving responsive on open maps
+const EDITOR_HISTORY = 200;
+const EDITOR_ARROWS = { '-1,0': '^', '1,0': 'v', '0,-1': '<', '0,1': '>' };
+
+/**
+ * Creates the editor state for a grid. `file` is where Ctrl+S saves by
+ * default, `rules` are solved with and saved alongside the grid.
+ */
+function createEditor({ grid = EDITOR_NEW_LEVEL, name = null, file = null, rules = {} } = {}) {
+  const editor = {
+    cells: grid.map(splitRow),
+    r: 0,
+    c: 0,
+    undo: [],
+    redo: [],
+    label: null, // Cell waiting for a label after K, D, P or O
+    name,
+    file,
+    rules,
+    modified: false,
+    prompt: null, // File name being typed after Ctrl+S
+    message: 'Arrows move, letters place cells',
+    result: null,
+    errors: [],
+    limited: false, // The live solve hit EDITOR_SOLVE_LIMIT
+    explanation: null
+  };
+  solveEditorGrid(editor);
+  return editor;
+}
+
+function editorGrid(editor) {
+  return editor.cells.map(row => row.join(''));
+}
+
+/**
+ * Re-solves the edited grid: validation errors first, then the best path,
+ * or the reason there is none
+ */
+function solveEditorGrid(editor) {
+  const grid = editorGrid(editor);
+  const { rules: activeRules } = resolveRules(editor.rules);
+  const rules = { ...editor.rules, maxIterations: Math.min(activeRules.maxIterations, EDITOR_SOLVE_LIMIT) };
+  const validation = validateMuseum(grid);
+  editor.errors = validation.errors;
+  editor.result = validation.valid ? solveQuantumHeist(grid, rules) : null;
+  editor.limited = !!editor.result && editor.result.time === -1 && !editor.result.exact;
+  editor.explanation = editor.result && editor.result.time === -1 && !editor.limited ? explainUnsolvable(grid, rules) : null;
+}
+
+/**
+ * Applies one change to the grid, keeping a snapshot for undo
+ */
+function editGrid(editor, change) {
+  const before = editor.cells.map(row => row.slice());
+  change(editor.cells);
+  if (editorGrid(editor).join('\n') === before.map(row => row.join('')).join('\n')) return;
+  editor.undo.push({ cells: before, r: editor.r, c: editor.c });
+  if (editor.undo.length > EDITOR_HISTORY) editor.undo.shift();
+  editor.redo = [];
+  editor.modified = true;
+  editor.r = Math.min(editor.r, editor.cells.length - 1);
+  editor.c = Math.min(editor.c, editor.cells[0].length - 1);
+  solveEditorGrid(editor);
+}
+
+/**
+ * Moves one snapshot from `from` to `to` (undo or redo)
+ */
+function restoreGrid(editor, from, to, verb) {
+  if (from.length === 0) {
+    editor.message = `Nothing to ${verb}`;
+    return;
+  }
+  to.push({ cells: editor.cells.map(row => row.slice()), r: editor.r, c: editor.c });
+  const snapshot = from.pop();
+  editor.cells = snapshot.cells;
+  editor.r = snapshot.r;
+  editor.c = snapshot.c;
+  editor.modified = true;
+  editor.message = verb === 'undo' ? 'Undone' : 'Redone';
+  solveEditorGrid(editor);
+}
+
+/**
+ * Places a cell at the cursor. S and E are unique, so placing one clears the old one.
+ */
+function placeTile(editor, tile) {
+  editGrid(editor, cells => {
+    if (tile === 'S' || tile === 'E') {
+      cells.forEach(row => row.forEach((cell, c) => { if (cell === tile) row[c] = '.'; }));
+    }
+    cells[editor.r][editor.c] = tile;
+  });
+  editor.label = 'KDPO'.includes(tile) ? { r: editor.r, c: editor.c } : null;
+  editor.message = editor.label ? `Placed ${tile}; type ${'KD'.includes(tile) ? '1-9' : 'a-z or 0-9'} to label it` : `Placed ${tile}`;
+}
+
+/**
+ * Adds or removes the last row or column
+ */
+function resizeGrid(editor, dr, dc) {
+  const rows = editor.cells.length + dr;
+  const cols = editor.cells[0].length + dc;
+  if (rows < 1 || cols < 1 || rows > EDITOR_MAX_SIZE || cols > EDITOR_MAX_SIZE) {
+    editor.message = `Grid size stays between 1x1 and ${EDITOR_MAX_SIZE}x${EDITOR_MAX_SIZE}`;
+    return;
+  }
+  editGrid(editor, cells => {
+    if (dr > 0) cells.push(new Array(cols).fill('.'));
+    if (dr < 0) cells.pop();
+    cells.forEach(row => {
+      if (dc > 0) row.push('.');
+      if (dc < 0) row.pop();
+    });
+  });
+  editor.message = `Grid is now ${rows}x${cols}`;
+}
+
+/**
+ * Writes the edited level: plain rows for .txt, otherwise a puzzle JSON
+ * with the rules it was solved under and its best time
+ */
+function saveEditorLevel(editor, file) {
+  const grid = editorGrid(editor);
+  let content = grid.join('\n') + '\n';
+  if (extname(file).toLowerCase() !== '.txt') {
+    const puzzle = { name: editor.name || basename(file, extname(file)), grid };
+    if (Object.keys(editor.rules).length > 0) puzzle.rules = editor.rules;
+    if (editor.result && !editor.limited) puzzle.expected = { minTime: editor.result.time };
+    content = JSON.stringify(puzzle, null, 2) + '\n';
+  }
+  try {
+    if (dirname(file) !== '.') fs.mkdirSync(dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  } catch (err) {
+    editor.message = `Could not save ${file}: ${describeFileError(err)}`;
+    return false;
+  }
+  editor.file = file;
+  editor.modified = false;
+  editor.message = `Saved ${file}`;
+  return true;
+}
+
+/**
+ * Handles one keypress (readline's (str, key) pair).
+ * @returns {string|null} 'quit' when the editor should close
+ */
+function editorKeypress(editor, str, key = {}) {
+  const name = key.name || str;
+
+  // Typing a file name after Ctrl+S
+  if (editor.prompt !== null) {
+    if (name === 'escape') {
+      editor.prompt = null;
+      editor.message = 'Save cancelled';
+    } else if (name === 'return' || name === 'enter') {
+      const file = editor.prompt.trim();
+      editor.prompt = null;
+      if (file) {
+        saveEditorLevel(editor, file);
+      } else {
+        editor.message = 'Save cancelled';
       }
-      actionDesc = '🌀 TELEPORTING...';
-    } else if (action.includes('TIME RIFT')) {
-      actionDesc = '⏪ TIME REWIND!';
+    } else if (name === 'backspace') {
+      editor.prompt = editor.prompt.slice(0, -1);
+    } else if (str && str.length === 1 && str >= ' ' && !key.ctrl) {
+      editor.prompt += str;
     }
+    return null;
+  }
+
+  if (key.ctrl) {
+    if (name === 'c') return 'quit';
+    if (name === 'z') restoreGrid(editor, editor.undo, editor.redo, 'undo');
+    if (name === 'y') restoreGrid(editor, editor.redo, editor.undo, 'redo');
+    if (name === 's') editor.prompt = editor.file || 'level.json';
+    editor.label = null;
+    return null;
+  }
+
+  const moves = { up: [-1, 0], down: [1, 0], left: [0, -1], right: [0, 1] };
+  if (moves[name]) {
+    const [dr, dc] = moves[name];
+    editor.label = null;
+    if (key.shift) {
+      resizeGrid(editor, name === 'down' ? 1 : name === 'up' ? -1 : 0, name === 'right' ? 1 : name === 'left' ? -1 : 0);
+    } else {
+      editor.r = Math.max(0, Math.min(editor.cells.length - 1, editor.r + dr));
+      editor.c = Math.max(0, Math.min(editor.cells[0].length - 1, editor.c + dc));
+      editor.message = `Cursor (${editor.r},${editor.c})`;
+    }
+    return null;
+  }
 
-    // Check what's at the new position
-    const cellContent = gridState[newR][newC];
-    if (cellContent === 'G') {
-      gemsCollected++;
-      gridState[newR][newC] = '.';
-      actionDesc += ' [+GEM]';
-    } else if (cellContent === 'K') {
-      keysCollected++;
-      gridState[newR][newC] = '.';
-      actionDesc += ' [+KEY]';
+  if (name === 'escape') {
+    if (editor.modified && !editor.quitWarned) {
+      editor.quitWarned = true;
+      editor.message = 'Unsaved changes: press Esc again to quit, Ctrl+S to save';
+      return null;
+    }
+    return 'quit';
+  }
+  editor.quitWarned = false;
+
+  // A label for the K, D, P or O just placed
+  if (editor.label && str && str.length === 1) {
+    const { r, c } = editor.label;
+    const base = editor.cells[r][c][0];
+    const valid = 'KD'.includes(base) ? /^[1-9]$/ : /^[0-9a-z]$/;
+    if (valid.test(str)) {
+      editGrid(editor, cells => { cells[r][c] = base + str; });
+      editor.label = null;
+      editor.message = `Placed ${base + str}`;
+      return null;
     }
+  }
+
+  const tile = EDITOR_TILES[name === 'space' ? 'space' : (str || '').toLowerCase()];
+  if (tile) {
+    placeTile(editor, tile);
+  } else if (name === 'backspace' || name === 'delete') {
+    placeTile(editor, '.');
+  }
+  return null;
+}
+
+/**
+ * Renders the editor screen as lines: the grid with the best path drawn as
+ * arrows on empty cells and the cursor in reverse video, then the solver status
+ */
+function renderEditor(editor) {
+  const width = Math.max(60, editor.cells[0].length * 2 + 12);
+  const border = '+' + '='.repeat(width - 2) + '+';
+  const line = text => '|' + `  ${text}`.padEnd(width - 2).substring(0, width - 2) + '|';
+
+  const arrows = new Map();
+  const path = editor.result && editor.result.time !== -1 ? editor.result.path : [];
+  path.forEach(({ type, from, to }) => {
+    const arrow = EDITOR_ARROWS[`${to.r - from.r},${to.c - from.c}`];
+    if (type === 'move' && arrow) arrows.set(`${from.r},${from.c}`, arrow);
+  });
+
+  const title = `LEVEL EDITOR - ${editor.file || editor.name || 'new level'}${editor.modified ? ' (modified)' : ''}`;
+  const lines = [border, line(title), border];
+  editor.cells.forEach((row, r) => {
+    const cells = row.map((cell, c) => {
+      const shown = (cell === '.' && arrows.get(`${r},${c}`)) || cell;
+      const text = shown.padEnd(2);
+      return r === editor.r && c === editor.c ? `\x1B[7m${shown}\x1B[0m${text.slice(shown.length)}` : text;
+    }).join('');
+    lines.push(`| ${String(r).padStart(2, '0')} | ` + cells + ' '.repeat(Math.max(0, width - 8 - row.length * 2)) + '|');
+  });
+  lines.push(border);
+
+  if (editor.errors.length > 0) {
+    lines.push(line(`INVALID: ${editor.errors[0].message}`));
+    if (editor.errors.length > 1) lines.push(line(`(and ${editor.errors.length - 1} more)`));
+  } else if (editor.result.time !== -1) {
+    lines.push(line(`Best time: ${editor.result.time}   Steps: ${path.length}   States: ${editor.result.statesExplored}`));
+  } else if (editor.limited) {
+    lines.push(line(`Search limit of ${EDITOR_SOLVE_LIMIT} states reached; use the solve command`));
+  } else {
+    lines.push(line(`NO SOLUTION: ${editor.explanation.message}`));
+  }
+  lines.push(line(`Cell (${editor.r},${editor.c}): ${editor.cells[editor.r][editor.c]}   Size: ${editor.cells.length}x${editor.cells[0].length}`));
+  lines.push(line(editor.prompt !== null ? `Save as: ${editor.prompt}_` : editor.message));
+  lines.push(border);
+  lines.push('  Arrows move   S E G K D P O L T # .  place   Space clears');
+  lines.push('  K/D + 1-9, P/O + a-z/0-9 label a cell   Shift+arrows resize');
+  lines.push('  Ctrl+Z undo   Ctrl+Y redo   Ctrl+S save   Esc quit');
+  return lines;
+}
 
-    // Update player position
-    playerR = newR;
-    playerC = newC;
+/**
+ * Runs the full-screen level editor on stdin until the user quits
+ * @param {Object} level - { grid, name, file, rules } to start from (a new level by default)
+ * @param {Function} callback - Called with the editor state when it closes
+ */
+function runLevelEditor(level, callback) {
+  if (!process.stdin.isTTY) {
+    printCentered('The level editor needs an interactive terminal.');
+    callback(null);
+    return;
+  }
 
-    // Render frame
+  const editor = createEditor(level);
+  const release = takeKeyboard((str, key) => {
+    if (editorKeypress(editor, str, key) !== 'quit') {
+      drawScreen(renderEditor(editor));
+      return;
+    }
+    release();
     clearScreen();
-    printAnimationFrame(gridState, playerR, playerC, step + 1, path.length, gemsCollected, totalGems, keysCollected, pathType, actionDesc);
-    await sleep(frameDelay);
+    callback(editor);
+  });
+  drawScreen(renderEditor(editor));
+}
+
+/**
+ * Loads the level to edit from a puzzle file. A missing file starts a new
+ * level that saves there; a file with several puzzles edits the first and
+ * saves elsewhere so the others are kept.
+ */
+function loadEditorLevel(file, rules = {}) {
+  if (!file) return { rules };
+  if (!fs.existsSync(file)) return { file, rules };
+  const puzzles = loadPuzzleFile(file);
+  const [puzzle] = puzzles;
+  return {
+    grid: puzzle.grid,
+    name: puzzle.name,
+    file: puzzles.length === 1 ? file : null,
+    rules: { ...puzzle.rules, ...rules }
+  };
+}
+
+/**
+ * Main-menu entry: asks for a file to open, then runs the editor
+ */
+function editLevel(rl, callback, rules = {}) {
+  rl.question('\nPuzzle file to open or create (Enter for a new level): ', (answer) => {
+    let level;
+    try {
+      level = loadEditorLevel(answer.trim(), rules);
+    } catch (err) {
+      printCentered(`Could not load ${answer.trim()}: ${describeFileError(err)}`);
+      callback();
+      return;
+    }
+    runLevelEditor(level, (editor) => {
+      if (editor && editor.file && !editor.modified) {
+        printCentered(`Level saved to ${editor.file}`);
+      } else if (editor && editor.modified) {
+        printCentered('Editor closed without saving the last changes.');
+      }
+      callback();
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PLAY MODE - The user steers the thief under the solver's rules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const PLAY_MOVES = { up: 'UP', w: 'UP', down: 'DOWN', s: 'DOWN', left: 'LEFT', a: 'LEFT', right: 'RIGHT', d: 'RIGHT' };
+
+/**
+ * Creates a game on a grid. Every step the player tries is replayed with
+ * validatePath, so the game follows exactly the rules the solver uses.
+ */
+function createGame({ grid, name = 'puzzle', rules = {} }) {
+  const museum = parseMuseum(grid);
+  const game = {
+    grid,
+    name,
+    rules,
+    museum,
+    steps: [],
+    trail: [{ r: museum.start.r, c: museum.start.c }], // Position after each step
+    report: validatePath(grid, [], rules),
+    optimal: solveQuantumHeist(grid, rules),
+    choosing: null, // Portal destinations offered after P
+    message: 'Collect every gem, then reach the exit'
+  };
+  return game;
+}
+
+/**
+ * Tries one step; an illegal step leaves the game as it was and explains why
+ */
+function playStep(game, step) {
+  const report = validatePath(game.grid, [...game.steps, step], game.rules);
+  if (!report.valid) {
+    game.message = `Blocked: ${report.error.reason}`;
+    return;
   }
+  game.steps.push(step);
+  game.trail.push(report.position);
+  game.report = report;
+  game.message = report.solved ? 'ESCAPED!' : `Time ${report.time}`;
+}
 
-  // Final frame
-  clearScreen();
-  printAnimationFrame(gridState, playerR, playerC, path.length, path.length, gemsCollected, totalGems, keysCollected, pathType, '🎉 COMPLETE!');
-  await sleep(2000);
+/**
+ * Handles one keypress (readline's (str, key) pair).
+ * @returns {string|null} 'quit' when the game should close
+ */
+function gameKeypress(game, str, key = {}) {
+  const name = key.name || str;
+  if (name === 'escape' || (key.ctrl && name === 'c') || (game.report.solved && name === 'return')) return 'quit';
+
+  if (name === 'backspace') {
+    game.choosing = null;
+    if (game.steps.length === 0) {
+      game.message = 'Nothing to take back';
+      return null;
+    }
+    game.steps.pop();
+    game.trail.pop();
+    game.report = validatePath(game.grid, game.steps, game.rules);
+    game.message = 'Took back the last step';
+    return null;
+  }
+  if (game.report.solved) {
+    game.message = 'Press Enter or Esc to finish, Backspace to take back a step';
+    return null;
+  }
+
+  // Picking one of several portal destinations
+  if (game.choosing) {
+    const target = game.choosing[Number(str) - 1];
+    game.choosing = null;
+    if (target) {
+      playStep(game, { type: 'portal', to: target });
+    } else {
+      game.message = 'Portal cancelled';
+    }
+    return null;
+  }
+
+  const { r, c } = game.report.position;
+  if (PLAY_MOVES[name]) {
+    playStep(game, { type: 'move', direction: PLAY_MOVES[name] });
+  } else if (name === 'space' || name === '.') {
+    playStep(game, { type: 'wait' });
+  } else if (name === 'r') {
+    playStep(game, { type: 'rift' });
+  } else if (name === 'p') {
+    const portal = game.museum.index.portals[r * game.museum.cols + c];
+    if (portal && portal.targets.length > 1 && !game.report.portalsUsed.includes(portal.channel)) {
+      game.choosing = portal.targets;
+      game.message = 'Portal to ' + portal.targets.map((t, i) => `${i + 1}:(${t.r},${t.c})`).join(' ') + ' - press a number';
+    } else {
+      playStep(game, { type: 'portal', to: portal ? portal.targets[0] : null });
+    }
+  }
+  return null;
 }
 
 /**
- * Print a single animation frame
+ * Renders the game screen as lines: the grid with the thief (@), collected
+ * items cleared, then the HUD with time, inventory and laser timing
  */
-function printAnimationFrame(gridState, playerR, playerC, currentStep, totalSteps, gems, totalGems, keys, pathType, action) {
-  const width = 60;
+function renderGame(game) {
+  const { museum, report } = game;
+  const { laserPeriod } = resolveRules(game.rules).rules;
+  const width = Math.max(60, museum.cols * 2 + 12);
   const border = '+' + '='.repeat(width - 2) + '+';
+  const line = text => '|' + `  ${text}`.padEnd(width - 2).substring(0, width - 2) + '|';
+
+  // Gems and keys are picked up by standing on them
+  const visited = new Set(game.trail.map(({ r, c }) => `${r},${c}`));
+  const lines = [border, line(`PLAY - ${game.name}`), border];
+  museum.grid.forEach((row, r) => {
+    const cells = row.map((cell, c) => {
+      if (r === report.position.r && c === report.position.c) return '@ ';
+      if (/^[GK]/.test(cell) && visited.has(`${r},${c}`)) return '. ';
+      return cell.padEnd(2);
+    }).join('');
+    lines.push(`| ${String(r).padStart(2, '0')} | ${cells}`.padEnd(width - 1) + '|');
+  });
+  lines.push(border);
+
+  const keys = report.keysCollected.map(id => `K${museum.keys[id].label || ''}`).join(' ') || 'none';
+  const portals = report.portalsUsed.map(id => `P${museum.portalChannels[id].label || id + 1}`).join(' ') || 'none';
+  const nextLaser = (Math.floor(report.time / laserPeriod) + 1) * laserPeriod;
+  lines.push(line(`Time: ${report.time}   Gems: ${report.gemsCollected}/${report.totalGems}   Keys: ${keys}   Steps: ${game.steps.length}`));
+  lines.push(line(`Portals used: ${portals}   Rift: ${museum.timeRifts.length === 0 ? 'none' : report.riftUsed ? 'used' : 'unused'}`));
+  if (museum.lasers.length > 0) {
+    lines.push(line(`Lasers fire when time % ${laserPeriod} == 0 (next at t=${nextLaser})`));
+  }
+  if (report.solved && game.optimal.time !== -1) {
+    const gap = report.time - game.optimal.time;
+    lines.push(line(`Your time ${report.time}, optimal ${game.optimal.time}: ${gap === 0 ? 'PERFECT!' : `+${gap}`}`));
+  }
+  lines.push(line(game.message));
+  lines.push(border);
+  lines.push('  Arrows/WASD move   Space wait   P portal   R rift');
+  lines.push('  Backspace takes back a step   Esc quits');
+  return lines;
+}
 
-  console.log('');
-  console.log(centerTextSimple(border, 80));
-  console.log(centerTextSimple(`|  CHALLENGE 2 - ${pathType.toUpperCase()} PATH SIMULATION`.padEnd(width - 2) + '|', 80));
-  console.log(centerTextSimple(border, 80));
-  console.log('');
-
-  // Render grid with player
-  for (let r = 0; r < gridState.length; r++) {
-    let rowStr = '  ';
-    for (let c = 0; c < gridState[r].length; c++) {
-      if (r === playerR && c === playerC) {
-        rowStr += '@ ';  // Player character
-      } else {
-        const cell = gridState[r][c];
-        switch (cell) {
-          case '#': rowStr += '# '; break;
-          case '.': rowStr += '. '; break;
-          case 'S': rowStr += 'S '; break;
-          case 'E': rowStr += 'E '; break;
-          case 'G': rowStr += 'G '; break;
-          case 'K': rowStr += 'K '; break;
-          case 'D': rowStr += 'D '; break;
-          case 'P': rowStr += 'P '; break;
-          case 'L': rowStr += 'L '; break;
-          case 'T': rowStr += 'T '; break;
-          default: rowStr += cell + ' ';
-        }
-      }
-    }
-    console.log(centerTextSimple(rowStr, 80));
+/**
+ * Runs the game on stdin until the player quits or escapes
+ * @param {Object} level - { grid, name, rules }
+ * @param {Function} callback - Called with the game state when it closes
+ */
+function runPlayMode(level, callback) {
+  if (!process.stdin.isTTY) {
+    printCentered('Play mode needs an interactive terminal.');
+    callback(null);
+    return;
+  }
+  const validation = validateMuseum(level.grid);
+  if (!validation.valid) {
+    printCentered(`The puzzle has ${validation.errors.length} error(s):`);
+    printDiagnostics(validation.errors, validation.warnings);
+    callback(null);
+    return;
   }
 
-  console.log('');
-  console.log(centerTextSimple(border, 80));
+  const game = createGame(level);
+  const release = takeKeyboard((str, key) => {
+    if (gameKeypress(game, str, key) !== 'quit') {
+      drawScreen(renderGame(game));
+      return;
+    }
+    release();
+    clearScreen();
+    callback(game);
+  });
+  drawScreen(renderGame(game));
+}
 
-  // Progress bar
-  const progress = totalSteps > 0 ? Math.floor((currentStep / totalSteps) * 20) : 0;
-  const progressBar = '[' + '█'.repeat(progress) + '░'.repeat(20 - progress) + ']';
+/**
+ * Picks the level to play: a test number, a puzzle file (its first puzzle)
+ * or, by default, the demo museum
+ */
+function loadPlayLevel(choice, rules = {}) {
+  if (!choice) return { grid: DEMO_PUZZLE, name: 'Demo museum', rules };
+  if (/^\d+$/.test(choice)) {
+    const testCase = testCases[Number(choice) - 1];
+    if (!testCase) throw new Error(`There is no test ${choice}`);
+    return { grid: testCase.grid, name: testCase.name, rules: { ...testCase.rules, ...rules } };
+  }
+  const [puzzle] = loadPuzzleFile(choice);
+  return { grid: puzzle.grid, name: puzzle.name, rules: { ...puzzle.rules, ...rules } };
+}
 
-  console.log(centerTextSimple(`|  Step: ${currentStep}/${totalSteps}  ${progressBar}`.padEnd(width - 2) + '|', 80));
-  console.log(centerTextSimple(`|  Gems: ${gems}/${totalGems}  Keys: ${keys}`.padEnd(width - 2) + '|', 80));
-  console.log(centerTextSimple(`|  Action: ${action}`.padEnd(width - 2).substring(0, width - 2) + '|', 80));
-  console.log(centerTextSimple(border, 80));
-  console.log('');
-  console.log(centerTextSimple('@ = Player    Press Ctrl+C to stop', 80));
+/**
+ * Prints how a finished game went, next to the optimal time
+ */
+function printGameSummary(game) {
+  if (!game) return;
+  const { report, optimal } = game;
+  printCentered('');
+  if (!report.solved) {
+    printCentered(`Gave up at time ${report.time} with ${report.gemsCollected}/${report.totalGems} gems.` +
+      (optimal.time !== -1 ? ` The best time is ${optimal.time}.` : ' This museum has no solution.'));
+  } else if (report.time === optimal.time) {
+    printCentered(`Escaped in ${report.time}: that is the optimal time!`);
+  } else {
+    printCentered(`Escaped in ${report.time}; the optimal time is ${optimal.time} (+${report.time - optimal.time}).`);
+  }
+  printCentered('');
 }
 
 /**
- * Simple center text helper for animation
+ * Main-menu entry: asks which level to play, then runs the game
  */
-function centerTextSimple(text, width) {
-  const padding = Math.max(0, Math.floor((width - text.length) / 2));
-  return ' '.repeat(padding) + text;
+function playLevel(rl, callback, rules = {}) {
+  rl.question(`\nLevel to play: test number (1-${testCases.length}), puzzle file, or Enter for the demo: `, (answer) => {
+    let level;
+    try {
+      level = loadPlayLevel(answer.trim(), rules);
+    } catch (err) {
+      printCentered(`Could not load ${answer.trim()}: ${describeFileError(err)}`);
+      callback();
+      return;
+    }
+    runPlayMode(level, (game) => {
+      printGameSummary(game);
+      callback();
+    });
+  });
 }
 
 function createReadlineInterface() {
@@ -1126,14 +5113,22 @@ function showMainMenu() {
   printCentered('|' + '  [2] Run Single Test'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  [3] Interactive Demo (Custom Puzzle)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  [4] Create Custom Puzzle'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  [5] Show Complexity Analysis'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  [6] Show Game Rules'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  [7] Exit'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [5] Level Editor'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [6] Play a Level'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [7] Show Complexity Analysis'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [8] Show Game Rules'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [9] Configure Rules'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  [10] Exit'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
 }
 
-function showGameRules() {
+/**
+ * Prints the elements and movement rules, with the timings of the active rules
+ */
+function showGameRules(rules = {}) {
+  const { moveCost, waitCost, portalCost, portalReusable, laserPeriod, riftRewind } = resolveRules(rules).rules;
+  const units = n => `${n} time unit${n === 1 ? '' : 's'}`;
   const boxWidth = 75;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -1153,22 +5148,26 @@ function showGameRules() {
   printCentered('|' + '  G - Gem (must collect all)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  K - Key (unlocks corresponding door)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  D - Door (requires matching key)'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  P - Portal (teleport to paired portal, each pair usable once)'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  L - Laser (blocks path when time % 3 == 0)'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  T - Time Rift (rewind 2 time units, usable once)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '      K1..K9 open D1..D9 by number; plain K/D pair in reading order'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  P - Portal (teleport to paired portal, ${portalReusable ? 'reusable' : 'each pair usable once'})`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '      Pa, P1, ... share a channel by label; pick any endpoint'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '      Oa, O1, ... are exit-only endpoints (one-way portals)'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  L - Laser (blocks path when time % ${laserPeriod} == 0)`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  T - Time Rift (rewind ${units(riftRewind)}, usable once)`.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  # - Wall (impassable)'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  . - Empty space'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
   printCentered('|' + '  MOVEMENT:'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  - Move up, down, left, or right (each costs 1 time unit)'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  - Portal teleportation costs 0 time units'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  - Time rift subtracts 2 from current time'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  - Move up, down, left, or right (each costs ${units(moveCost)})`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  - Wait in place (costs ${units(waitCost)}, not on an active laser)`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  - Portal teleportation costs ${units(portalCost)}`.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + `  - Time rift subtracts ${riftRewind} from current time`.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
 }
 
-function interactiveDemo(pathChoice = null) {
+function interactiveDemo(pathChoice = null, rules = {}, svgFormats = []) {
   const boxWidth = 75;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -1178,20 +5177,7 @@ function interactiveDemo(pathChoice = null) {
   printCentered(border);
 
   // Create a custom challenging puzzle
-  const customPuzzle = [
-    "S....P....#....",
-    "..##......#.K..",
-    "..#G#..L..#....",
-    "..#.#.....#.D..",
-    "..P.......#.G..",
-    "....###...#....",
-    "....#T#...#....",
-    "....###.P.#....",
-    "..........#....",
-    "..........#.P..",
-    "G..............",
-    "..............E"
-  ];
+  const customPuzzle = DEMO_PUZZLE;
 
   printCentered('');
   printCentered('Custom Challenge Puzzle:');
@@ -1206,44 +5192,60 @@ function interactiveDemo(pathChoice = null) {
 
   // Count gems in puzzle
   const gemCount = (customPuzzle.join('').match(/G/g) || []).length;
+  const svg = svgFormats.length > 0 ? { grid: customPuzzle, rules, formats: svgFormats } : null;
 
   if (pathChoice === 'best') {
     printCentered('Solving best path...');
     const startTime = performance.now();
-    const result = solveQuantumHeist(customPuzzle);
+    const result = solveQuantumHeist(customPuzzle, rules);
     const endTime = performance.now();
     printCentered('');
-    printSolution(result, gemCount, 'demo', null);
+    printSolution(result, gemCount, 'demo', null, scoreDifficulty(customPuzzle, rules, { best: result }), svg);
     printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
+    if (result.time !== -1) visualizeMuseum(customPuzzle, { path: result.path });
   } else if (pathChoice === 'worst') {
     printCentered('Solving worst path...');
     const startTime = performance.now();
-    const worstResult = solveWorstPath(customPuzzle);
+    const worstResult = solveWorstPath(customPuzzle, rules);
     const endTime = performance.now();
     printCentered('');
-    printSolutionWorstOnly(worstResult, gemCount, 'demo');
+    printSolutionWorstOnly(worstResult, gemCount, 'demo', svg);
     printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
   } else {
     printCentered('Solving best path...');
     const startTime = performance.now();
-    const result = solveQuantumHeist(customPuzzle);
+    const result = solveQuantumHeist(customPuzzle, rules);
     const bestTime = performance.now();
 
     printCentered('Solving worst path...');
-    const worstResult = solveWorstPath(customPuzzle);
+    const worstResult = solveWorstPath(customPuzzle, rules);
     const endTime = performance.now();
 
     printCentered('');
-    printSolution(result, gemCount, 'demo', worstResult);
+    printSolution(result, gemCount, 'demo', worstResult, scoreDifficulty(customPuzzle, rules, { best: result, worst: worstResult }), svg);
     printCentered(`Best path time: ${(bestTime - startTime).toFixed(2)}ms`);
     printCentered(`Worst path time: ${(endTime - bestTime).toFixed(2)}ms`);
+    if (result.time !== -1) visualizeMuseum(customPuzzle, { path: result.path });
+  }
+}
+
+/**
+ * Solves the best and worst paths and prints the diff between them
+ */
+function printRouteComparison(grid, rules = {}) {
+  const best = solveQuantumHeist(grid, rules);
+  const worst = solveWorstPath(grid, rules);
+  if (best.time === -1 || worst.time === -1) {
+    printCentered('No path found to compare.');
+    return;
   }
+  printPathDiff(diffPaths(grid, best.path, worst.path), grid);
 }
 
 /**
  * Prints worst path solution only (centered)
  */
-function printSolutionWorstOnly(result, totalGems = 0, puzzleName = 'puzzle') {
+function printSolutionWorstOnly(result, totalGems = 0, puzzleName = 'puzzle', svg = null) {
   const boxWidth = 50;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -1251,10 +5253,11 @@ function printSolutionWorstOnly(result, totalGems = 0, puzzleName = 'puzzle') {
   if (result.path && result.path.length > 0) {
     logFile = logPathToFile(result, puzzleName, 'worst');
   }
+  const svgFiles = writePathSvgs(svg, result, puzzleName, 'worst');
 
   printCentered(border);
   if (result.time !== -1) {
-    printCentered('|' + `  Worst Time: ${result.time}`.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + `  Worst Time: ${result.time}${result.exact ? '' : ' (search limit reached)'}`.padEnd(boxWidth - 2) + '|');
     if (totalGems > 0) {
       printCentered('|' + `  Gems: ${totalGems}/${totalGems} collected`.padEnd(boxWidth - 2) + '|');
     }
@@ -1266,28 +5269,15 @@ function printSolutionWorstOnly(result, totalGems = 0, puzzleName = 'puzzle') {
     printCentered('|' + '  Status: FAILED'.padEnd(boxWidth - 2) + '|');
   }
   printCentered(border);
+  svgFiles.forEach(file => printCentered(`SVG saved: ${file}`));
   printCentered('');
 }
 
-function showDemoMenu(rl, callback, isStandalone = false) {
+function showDemoMenu(rl, callback, isStandalone = false, rules = {}) {
   const boxWidth = 50;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
-  // Demo puzzle
-  const demoPuzzle = [
-    "S....P....#....",
-    "..##......#.K..",
-    "..#G#..L..#....",
-    "..#.#.....#.D..",
-    "..P.......#.G..",
-    "....###...#....",
-    "....#T#...#....",
-    "....###.P.#....",
-    "..........#....",
-    "..........#.P..",
-    "G..............",
-    "..............E"
-  ];
+  const demoPuzzle = DEMO_PUZZLE;
 
   function showMenu() {
     printCentered('');
@@ -1299,34 +5289,36 @@ function showDemoMenu(rl, callback, isStandalone = false) {
     printCentered('|' + '  [3] Both Paths'.padEnd(boxWidth - 2) + '|');
     printCentered('|' + '  [4] Animate Best Path'.padEnd(boxWidth - 2) + '|');
     printCentered('|' + '  [5] Animate Worst Path'.padEnd(boxWidth - 2) + '|');
-    printCentered('|' + '  [6] Back to Main Menu'.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + '  [6] Animate Both Side by Side'.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + '  [7] Compare Routes (Diff)'.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + '  [8] Back to Main Menu'.padEnd(boxWidth - 2) + '|');
     if (isStandalone) {
-      printCentered('|' + '  [7] Exit'.padEnd(boxWidth - 2) + '|');
+      printCentered('|' + '  [9] Exit'.padEnd(boxWidth - 2) + '|');
     }
     printCentered(border);
 
-    const maxOption = isStandalone ? '7' : '6';
+    const maxOption = isStandalone ? '9' : '8';
     rl.question(`\nSelect option (1-${maxOption}): `, async (answer) => {
       switch (answer.trim()) {
         case '1':
-          interactiveDemo('best');
+          interactiveDemo('best', rules);
           showMenu();
           break;
         case '2':
-          interactiveDemo('worst');
+          interactiveDemo('worst', rules);
           showMenu();
           break;
         case '3':
-          interactiveDemo('both');
+          interactiveDemo('both', rules);
           showMenu();
           break;
         case '4':
           // Animate best path
           printCentered('');
           printCentered('Calculating best path...');
-          const bestResult = solveQuantumHeist(demoPuzzle);
+          const bestResult = solveQuantumHeist(demoPuzzle, rules);
           if (bestResult.path && bestResult.path.length > 0) {
-            await animatePath(demoPuzzle, bestResult.path, 'best');
+            await animatePath(demoPuzzle, bestResult.path, 'best', rules);
           } else {
             printCentered('No path found to animate.');
           }
@@ -1336,18 +5328,38 @@ function showDemoMenu(rl, callback, isStandalone = false) {
           // Animate worst path
           printCentered('');
           printCentered('Calculating worst path (this may take a moment)...');
-          const worstResult = solveWorstPath(demoPuzzle);
+          const worstResult = solveWorstPath(demoPuzzle, rules);
           if (worstResult.path && worstResult.path.length > 0) {
-            await animatePath(demoPuzzle, worstResult.path, 'worst');
+            await animatePath(demoPuzzle, worstResult.path, 'worst', rules);
           } else {
             printCentered('No path found to animate.');
           }
           showMenu();
           break;
-        case '6':
-          callback();
+        case '6': {
+          // Animate both paths in lockstep
+          printCentered('');
+          printCentered('Calculating best and worst paths (this may take a moment)...');
+          const best = solveQuantumHeist(demoPuzzle, rules);
+          const worst = solveWorstPath(demoPuzzle, rules);
+          if (best.path.length > 0 && worst.path.length > 0) {
+            await animateComparison(demoPuzzle, best.path, worst.path, rules);
+          } else {
+            printCentered('No path found to animate.');
+          }
+          showMenu();
           break;
+        }
         case '7':
+          printCentered('');
+          printCentered('Calculating best and worst paths (this may take a moment)...');
+          printRouteComparison(demoPuzzle, rules);
+          showMenu();
+          break;
+        case '8':
+          callback();
+          break;
+        case '9':
           if (isStandalone) {
             printCentered('');
             printCentered('Goodbye!');
@@ -1369,14 +5381,14 @@ function showDemoMenu(rl, callback, isStandalone = false) {
   showMenu();
 }
 
-function runSingleTest(rl, callback) {
+function runSingleTest(rl, callback, rules = {}) {
   printCentered('');
   printCentered('Available tests:');
   testCases.forEach((tc, idx) => {
     printCentered(`  [${idx + 1}] ${tc.name}`);
   });
 
-  rl.question('\nEnter test number (1-10): ', (answer) => {
+  rl.question(`\nEnter test number (1-${testCases.length}): `, (answer) => {
     const testNum = parseInt(answer) - 1;
     if (testNum >= 0 && testNum < testCases.length) {
       const testCase = testCases[testNum];
@@ -1387,15 +5399,18 @@ function runSingleTest(rl, callback) {
 
       visualizeMuseum(testCase.grid);
 
+      const testRules = { ...testCase.rules, ...rules };
       const startTime = performance.now();
-      const result = solveQuantumHeist(testCase.grid);
+      const result = solveQuantumHeist(testCase.grid, testRules);
       const endTime = performance.now();
 
       const gemCount = (testCase.grid.join('').match(/G/g) || []).length;
-      printSolution(result, gemCount, testCase.name.replace(/[^a-zA-Z0-9]/g, '_'));
+      printSolution(result, gemCount, testCase.name.replace(/[^a-zA-Z0-9]/g, '_'), null, scoreDifficulty(testCase.grid, testRules, { best: result }));
       printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
+      if (result.time !== -1) visualizeMuseum(testCase.grid, { path: result.path });
 
-      if (testCase.expected.minTime !== 'calculate') {
+      // Expected times only hold under the test's own rules
+      if (testCase.expected.minTime !== 'calculate' && Object.keys(rules).length === 0) {
         const success = result.time === testCase.expected.minTime;
         if (success) {
           printCentered(`[PASSED] Expected ${testCase.expected.minTime}, Got ${result.time}`);
@@ -1410,7 +5425,7 @@ function runSingleTest(rl, callback) {
   });
 }
 
-function createCustomPuzzle(rl, callback) {
+function createCustomPuzzle(rl, callback, rules = {}) {
   const boxWidth = 75;
   const border = '+' + '='.repeat(boxWidth - 2) + '+';
 
@@ -1422,7 +5437,10 @@ function createCustomPuzzle(rl, callback) {
   printCentered('|' + '  Enter your puzzle row by row.'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '  Use: S=Start, E=Exit, G=Gem, K=Key, D=Door, P=Portal,'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + '       L=Laser, T=TimeRift, #=Wall, .=Empty'.padEnd(boxWidth - 2) + '|');
-  printCentered('|' + '  Type "done" when finished, or "cancel" to abort.'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  Numbered pairs: K1..K9 open D1..D9 (e.g. "S.K1.D1.E")'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  Portal channels: Pa..Pz, P0..P9; Oa = exit-only endpoint'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  Type "done" when finished, "undo" to drop the last row,'.padEnd(boxWidth - 2) + '|');
+  printCentered('|' + '  or "cancel" to abort.'.padEnd(boxWidth - 2) + '|');
   printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
   printCentered(border);
 
@@ -1436,14 +5454,31 @@ function createCustomPuzzle(rl, callback) {
           printCentered('Your puzzle:');
           visualizeMuseum(grid);
 
+          // Refuse to solve an invalid grid; let the user fix it instead
+          const validation = validateMuseum(grid);
+          if (!validation.valid) {
+            printCentered(`The puzzle has ${validation.errors.length} error(s):`);
+            printDiagnostics(validation.errors, validation.warnings);
+            printCentered('');
+            printCentered('Fix it by adding rows or typing "undo", or type "cancel".');
+            getRow();
+            return;
+          }
+          printDiagnostics([], validation.warnings);
+
           printCentered('Solving...');
           printCentered('');
           const startTime = performance.now();
-          const result = solveQuantumHeist(grid);
+          const result = solveQuantumHeist(grid, rules);
           const endTime = performance.now();
 
           const gemCount = (grid.join('').match(/G/g) || []).length;
-          printSolution(result, gemCount, 'custom_puzzle');
+          printSolution(result, gemCount, 'custom_puzzle', null, scoreDifficulty(grid, rules, { best: result }));
+          if (result.time === -1) {
+            printExplanation(explainUnsolvable(grid, rules), grid);
+          } else {
+            visualizeMuseum(grid, { path: result.path });
+          }
           printCentered(`Execution time: ${(endTime - startTime).toFixed(2)}ms`);
         } else {
           printCentered('No puzzle entered.');
@@ -1452,6 +5487,11 @@ function createCustomPuzzle(rl, callback) {
       } else if (row.toLowerCase() === 'cancel') {
         printCentered('Puzzle creation cancelled.');
         callback();
+      } else if (row.toLowerCase() === 'undo') {
+        if (grid.length > 0) {
+          printCentered(`Removed row ${grid.length}: ${grid.pop()}`);
+        }
+        getRow();
       } else {
         grid.push(row);
         getRow();
@@ -1462,35 +5502,98 @@ function createCustomPuzzle(rl, callback) {
   getRow();
 }
 
-function startInteractiveMode() {
+/**
+ * Lets the user override game rules; changes apply to the single test,
+ * demo and custom puzzle options
+ */
+function configureRules(rl, rules, callback) {
+  const boxWidth = 75;
+  const border = '+' + '='.repeat(boxWidth - 2) + '+';
+
+  function showRules() {
+    const { rules: activeRules } = resolveRules(rules);
+    printCentered('');
+    printCentered(border);
+    printCentered('|' + 'CONFIGURE RULES'.padStart(Math.floor((boxWidth - 2 + 15) / 2)).padEnd(boxWidth - 2) + '|');
+    printCentered(border);
+    Object.keys(DEFAULT_RULES).forEach(name => {
+      const marker = name in rules ? '*' : ' ';
+      printCentered('|' + `  ${marker} ${name.padEnd(16)} ${activeRules[name]}`.padEnd(boxWidth - 2) + '|');
+    });
+    printCentered('|' + ''.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + '  * = changed from default'.padEnd(boxWidth - 2) + '|');
+    printCentered('|' + '  Enter name=value, "reset" for defaults, or blank to go back.'.padEnd(boxWidth - 2) + '|');
+    printCentered(border);
+  }
+
+  function ask() {
+    rl.question('Rule: ', (answer) => {
+      const input = answer.trim();
+      if (input === '') {
+        callback();
+        return;
+      }
+
+      if (input.toLowerCase() === 'reset') {
+        Object.keys(rules).forEach(name => delete rules[name]);
+        printCentered('Rules reset to defaults.');
+      } else {
+        const [name, value] = input.split('=').map(part => part.trim());
+        const candidate = { ...rules, [name]: parseRuleValue(name, value) };
+        const { errors } = resolveRules(candidate);
+        if (errors.length > 0) {
+          printCentered(`Invalid rule: ${errors[0]}`);
+        } else {
+          Object.assign(rules, candidate);
+        }
+      }
+      showRules();
+      ask();
+    });
+  }
+
+  showRules();
+  ask();
+}
+
+function startInteractiveMode(rules = {}) {
   const rl = createReadlineInterface();
 
   function mainLoop() {
     showMainMenu();
-    rl.question('\nSelect option (1-7): ', (answer) => {
+    rl.question('\nSelect option (1-10): ', (answer) => {
       switch (answer.trim()) {
         case '1':
           runTests();
           mainLoop();
           break;
         case '2':
-          runSingleTest(rl, mainLoop);
+          runSingleTest(rl, mainLoop, rules);
           break;
         case '3':
-          showDemoMenu(rl, mainLoop);
+          showDemoMenu(rl, mainLoop, false, rules);
           break;
         case '4':
-          createCustomPuzzle(rl, mainLoop);
+          createCustomPuzzle(rl, mainLoop, rules);
           break;
         case '5':
-          printComplexityAnalysis();
-          mainLoop();
+          editLevel(rl, mainLoop, rules);
           break;
         case '6':
-          showGameRules();
-          mainLoop();
+          playLevel(rl, mainLoop, rules);
           break;
         case '7':
+          printComplexityAnalysis(rules);
+          mainLoop();
+          break;
+        case '8':
+          showGameRules(rules);
+          mainLoop();
+          break;
+        case '9':
+          configureRules(rl, rules, mainLoop);
+          break;
+        case '10':
           printCentered('');
           printCentered('Thank you for playing!');
           printCentered('');
@@ -1499,7 +5602,7 @@ function startInteractiveMode() {
           break;
         default:
           printCentered('');
-          printCentered('Invalid option. Please select 1-7.');
+          printCentered('Invalid option. Please select 1-10.');
           mainLoop();
       }
     });
@@ -1508,6 +5611,425 @@ function startInteractiveMode() {
   mainLoop();
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUZZLE FILES AND COMMAND LINE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { basename, dirname, extname, join } = require('path');
+
+/**
+ * Loads puzzles from a file. Plain text files hold one grid row per line;
+ * JSON files hold { name, grid, rules, expected } or an array of them.
+ * @param {string} file - Path to a .txt or .json puzzle file
+ * @returns {Object[]} Puzzles shaped like testCases entries, plus rules and file
+ */
+function loadPuzzleFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const fallbackName = basename(file, extname(file));
+
+  if (extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    const entries = Array.isArray(data) ? data : [data];
+    return entries.map((entry, idx) => {
+      if (!entry || !Array.isArray(entry.grid) || entry.grid.length === 0 ||
+          !entry.grid.every(row => typeof row === 'string')) {
+        throw new Error(`puzzle ${idx + 1} needs a non-empty "grid" array of strings`);
+      }
+      return {
+        name: entry.name || (entries.length > 1 ? `${fallbackName} #${idx + 1}` : fallbackName),
+        grid: entry.grid,
+        rules: entry.rules || {},
+        expected: entry.expected || { minTime: 'calculate' },
+        file
+      };
+    });
+  }
+
+  const grid = content.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.length > 0);
+  if (grid.length === 0) {
+    throw new Error('no grid rows found');
+  }
+  return [{ name: fallbackName, grid, rules: {}, expected: { minTime: 'calculate' }, file }];
+}
+
+/**
+ * Expands puzzle file arguments: directories give their .txt/.json files and
+ * `*` / `?` wildcards in the file name are matched (for shells that do not
+ * expand globs themselves)
+ * @param {string[]} patterns - File, directory or wildcard arguments
+ * @returns {string[]} File paths
+ */
+function expandFilePatterns(patterns) {
+  const files = [];
+  patterns.forEach(pattern => {
+    if (/[*?]/.test(basename(pattern))) {
+      const dir = dirname(pattern);
+      const regex = new RegExp('^' + basename(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.') + '$');
+      if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).filter(name => regex.test(name)).sort().forEach(name => files.push(join(dir, name)));
+      }
+    } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      fs.readdirSync(pattern).filter(name => /\.(txt|json)$/i.test(name)).sort().forEach(name => files.push(join(pattern, name)));
+    } else {
+      files.push(pattern);
+    }
+  });
+  return files;
+}
+
+/**
+ * Describes a file loading error without repeating the file name
+ */
+function describeFileError(err) {
+  return err.code === 'ENOENT' ? 'file not found' : err.message;
+}
+
+/**
+ * Solves every puzzle in the given files
+ * @param {string[]} patterns - Files, directories or wildcards
+ * @param {Object} [rules] - Rule overrides applied on top of each puzzle's own rules
+ * @param {Object} [options] - Same as runTests' options, except that search
+ *   ('dijkstra' or 'astar') applies to every puzzle and defaults to 'dijkstra'
+ * @returns {boolean} true if every file loaded and every expectation held
+ */
+function solvePuzzleFiles(patterns, rules = {}, options = {}) {
+  const { output = 'text', worst = false, search = 'dijkstra', top = 0, overlay = false, svgFormats = [], html = false } = options;
+  const files = expandFilePatterns(patterns);
+  const writer = output === 'text' ? null : createRecordWriter(output);
+  if (files.length === 0) {
+    if (writer) {
+      writer.end();
+    } else {
+      printCentered('No puzzle files found.');
+    }
+    return false;
+  }
+
+  let passed = 0;
+  let failed = 0;
+
+  files.forEach(file => {
+    let puzzles;
+    try {
+      puzzles = loadPuzzleFile(file);
+    } catch (err) {
+      if (writer) {
+        writer.write({ file, error: describeFileError(err), passed: false });
+      } else {
+        printCentered(`[ERROR] ${file}: ${describeFileError(err)}`);
+      }
+      failed++;
+      return;
+    }
+
+    puzzles.forEach(puzzle => {
+      const puzzleRules = { ...puzzle.rules, ...rules };
+      let ok;
+      if (writer) {
+        const record = buildResultRecord(puzzle, puzzleRules, { worst: worst || html, search, top });
+        if (html) record.report = htmlReportToFile(record);
+        writer.write(record);
+        ok = record.passed;
+      } else {
+        ok = runPuzzle(puzzle, puzzleRules, { label: 'PUZZLE', search, top, overlay, svgFormats, html });
+      }
+      if (ok) {
+        passed++;
+      } else {
+        failed++;
+      }
+    });
+  });
+
+  if (writer) {
+    writer.end();
+  } else if (passed + failed > 1) {
+    printRunSummary('SOLVE SUMMARY', passed, failed);
+  }
+  return failed === 0;
+}
+
+/**
+ * Reads a path file: a JSON array of steps (or a result object with a
+ * `path`), or plain text with one step per line ('#' starts a comment)
+ */
+function readPathFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    return Array.isArray(data) ? data : data.path || [];
+  }
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+}
+
+/**
+ * Verifies a hand-written path against a puzzle file and prints the report
+ * @returns {boolean} true if the path solves the puzzle
+ */
+function verifyPathFiles(puzzleFile, pathFile, rules = {}) {
+  const puzzle = loadPuzzleFile(puzzleFile)[0];
+  const puzzleRules = { ...puzzle.rules, ...rules };
+  const steps = readPathFile(pathFile);
+
+  printCentered('');
+  printCentered(`Verifying ${pathFile} against ${puzzleFile}`);
+  visualizeMuseum(puzzle.grid);
+
+  const report = validatePath(puzzle.grid, steps, puzzleRules);
+  const optimal = report.error && report.error.step === -1 ? null : solveQuantumHeist(puzzle.grid, puzzleRules);
+  printValidation(report, optimal);
+  return report.solved;
+}
+
+/**
+ * Generates `count` levels from seeds seed, seed + 1, ... and writes them as
+ * JSON puzzle files: one file per level into a directory, or all of them
+ * into a single file when `out` ends in .json
+ * @param {string} out - Output directory or .json file
+ * @param {Object} options - Generator options (see GENERATOR_DEFAULTS)
+ * @param {number} [count] - Number of levels
+ * @param {string} [output] - 'text', or 'json'/'ndjson' for result records
+ * @returns {boolean} true if every level was generated and written
+ */
+function generatePuzzleFiles(out, options, count = 1, output = 'text') {
+  const { options: resolved } = resolveGeneratorOptions(options);
+  const writer = output === 'text' ? null : createRecordWriter(output);
+  const singleFile = extname(out).toLowerCase() === '.json';
+  const puzzles = [];
+  let passed = 0;
+  let failed = 0;
+
+  for (let i = 0; i < count; i++) {
+    const seed = (resolved.seed + i) % 2 ** 32;
+    const { puzzle, attempts, message } = generatePuzzle({ ...options, seed });
+    let file = null;
+    let error = puzzle ? null : message;
+
+    if (puzzle && !singleFile) {
+      file = join(out, `generated-${seed}.json`);
+      try {
+        fs.mkdirSync(out, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(puzzle, null, 2) + '\n');
+      } catch (err) {
+        error = `Could not write ${file}: ${describeFileError(err)}`;
+      }
+    } else if (puzzle) {
+      file = out;
+      puzzles.push(puzzle);
+    }
+
+    if (writer) {
+      writer.write(error ? { seed, attempts, error, passed: false } : { ...puzzle, file, attempts, passed: true });
+    } else if (error) {
+      printCentered(`[FAILED] Seed ${seed}: ${error}`);
+    } else {
+      printCentered('='.repeat(70));
+      printCentered(`[GENERATED] ${puzzle.name}`);
+      visualizeMuseum(puzzle.grid);
+      printCentered(`Best time ${puzzle.expected.minTime} after ${attempts} attempt${attempts === 1 ? '' : 's'}` +
+        (singleFile ? '' : ` -> ${file}`));
+    }
+    if (error) {
+      failed++;
+    } else {
+      passed++;
+    }
+  }
+
+  if (singleFile && puzzles.length > 0) {
+    try {
+      fs.mkdirSync(dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(puzzles.length === 1 ? puzzles[0] : puzzles, null, 2) + '\n');
+      if (!writer) printCentered(`Wrote ${puzzles.length} level${puzzles.length === 1 ? '' : 's'} to ${out}`);
+    } catch (err) {
+      if (!writer) printCentered(`[FAILED] Could not write ${out}: ${describeFileError(err)}`);
+      passed = 0;
+      failed = count;
+    }
+  }
+
+  if (writer) {
+    writer.end();
+  } else if (count > 1) {
+    printRunSummary('GENERATE SUMMARY', passed, failed);
+  }
+  return failed === 0;
+}
+
+const COMMANDS = ['solve', 'verify', 'test', 'demo', 'bench', 'generate', 'edit', 'play', 'help'];
+
+/**
+ * Known flags: true = takes a value (--flag value or --flag=value),
+ * false = switch. Every rule in DEFAULT_RULES is also a flag in kebab-case.
+ * The legacy --test/--demo/--verify/--help switches select a command.
+ */
+const CLI_FLAGS = { test: false, demo: false, verify: false, help: false, json: false, ndjson: false, worst: false, astar: false, top: true, overlay: false, svg: false, 'svg-animated': false, html: false };
+const SHORT_FLAGS = { '-t': 'test', '-d': 'demo', '-h': 'help' };
+
+const ruleFlagName = name => name.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase());
+Object.keys(DEFAULT_RULES).forEach(name => {
+  CLI_FLAGS[ruleFlagName(name)] = typeof DEFAULT_RULES[name] !== 'boolean';
+});
+
+// generate: flag -> generatePuzzle option (all take a value), plus --count
+const GENERATOR_FLAGS = {
+  rows: 'rows', cols: 'cols', gems: 'gems', keys: 'keys', portals: 'portals', lasers: 'lasers',
+  rifts: 'rifts', walls: 'walls', seed: 'seed', target: 'targetMinTime', attempts: 'maxAttempts'
+};
+Object.keys(GENERATOR_FLAGS).forEach(flag => { CLI_FLAGS[flag] = true; });
+CLI_FLAGS.count = true;
+
+/**
+ * Splits the command line into a subcommand, positional arguments and flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ command: string|null, positional: string[], flags: Object, errors: string[] }}
+ */
+function parseArgs(argv) {
+  const parsed = { command: null, positional: [], flags: {}, errors: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (!(name in CLI_FLAGS)) {
+        parsed.errors.push(`Unknown option --${name}`);
+      } else if (CLI_FLAGS[name]) {
+        const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+        if (value === undefined) parsed.errors.push(`Option --${name} needs a value`);
+        parsed.flags[name] = value;
+      } else {
+        parsed.flags[name] = true;
+      }
+    } else if (SHORT_FLAGS[arg]) {
+      parsed.flags[SHORT_FLAGS[arg]] = true;
+    } else if (!parsed.command && parsed.positional.length === 0 && COMMANDS.includes(arg)) {
+      parsed.command = arg;
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+
+  // Legacy switches select the command when no subcommand was given
+  if (!parsed.command) {
+    parsed.command = ['verify', 'test', 'demo', 'help'].find(name => parsed.flags[name]) || null;
+  }
+  if (!parsed.command && parsed.positional.length > 0) {
+    parsed.errors.push(`Unknown command "${parsed.positional[0]}"`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Reads rule overrides from parsed flags, e.g. --laser-period 4 or
+ * --portal-reusable (flag names are the DEFAULT_RULES keys in kebab-case)
+ * @param {Object} flags - Flags from parseArgs
+ * @returns {Object} Partial rules object
+ */
+function parseRuleArgs(flags) {
+  const rules = {};
+  Object.keys(DEFAULT_RULES).forEach(name => {
+    const flag = ruleFlagName(name);
+    if (!(flag in flags)) return;
+    if (typeof DEFAULT_RULES[name] === 'boolean') {
+      rules[name] = flags[flag] === true;
+    } else {
+      rules[name] = parseRuleValue(name, flags[flag]);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Reads generatePuzzle options from parsed flags; --target takes a best
+ * time (20) or a band (20-30). Bad numbers are left for
+ * resolveGeneratorOptions to report.
+ * @param {Object} flags - Flags from parseArgs
+ * @returns {Object} Partial generator options
+ */
+function parseGeneratorArgs(flags) {
+  const options = {};
+  Object.keys(GENERATOR_FLAGS).forEach(flag => {
+    if (!(flag in flags)) return;
+    const band = flag === 'target' && /^(\d+)-(\d+)$/.exec(flags[flag]);
+    options[GENERATOR_FLAGS[flag]] = band ? [Number(band[1]), Number(band[2])] : Number(flags[flag]);
+  });
+  return options;
+}
+
+function printUsage() {
+  const lines = [
+    '',
+    'Challenge 2 - Usage:',
+    '',
+    '  node quantum-heist.js                     Start interactive mode',
+    '  node quantum-heist.js solve <files...>    Solve puzzle files (.txt/.json)',
+    '  node quantum-heist.js verify <puzzle> <path>',
+    '                                            Check a hand-written path',
+    '  node quantum-heist.js test                Run all tests',
+    '  node quantum-heist.js demo [best|worst|both|diff]',
+    '                                            Run demo (menu, one path type, or',
+    '                                            the best vs worst route diff)',
+    '  node quantum-heist.js bench [puzzle]      Solve times, cell index vs scans (Test 8)',
+    '  node quantum-heist.js generate [out]      Generate solvable levels into a',
+    '                                            directory or .json file (default generated/)',
+    '  node quantum-heist.js edit [puzzle]       Edit a level full-screen with live',
+    '                                            solving (new level if no file)',
+    '  node quantum-heist.js play [test|puzzle]  Steer the thief yourself (default',
+    '                                            the demo museum)',
+    '  node quantum-heist.js help                Show this help',
+    '',
+    '  --test, --demo, --verify and --help work as the commands above.',
+    '  solve accepts directories and * / ? wildcards, e.g. levels/*.json',
+    '',
+    'Output options (solve, test, demo and bench):',
+    '',
+    '  --json                Print all results as one JSON array',
+    '  --ndjson              Print one JSON result per line',
+    '  --worst               Include the worst path in JSON results',
+    '  --astar               Solve with A* and compare iterations with Dijkstra',
+    '  --top <k>             Rank the k fastest solutions, count optimal routes',
+    '  --overlay             Draw each solved route on the grid (solve, test)',
+    '  --svg                 Save each path as an SVG image (solve, test, demo)',
+    '  --svg-animated        Save each path as an animated SVG replay',
+    '  --html                Write a self-contained HTML replay report per puzzle',
+    '',
+    'Generator options (generate):',
+    '',
+    '  --rows <n>, --cols <n>  Grid size (default 8x8)',
+    '  --gems <n>            Gems (default 2)',
+    '  --keys <n>            Numbered key/door pairs, up to 9 (default 0)',
+    '  --portals <n>         Portal pairs (default 0)',
+    '  --lasers <n>          Lasers (default 2)',
+    '  --rifts <n>           Time rifts (default 0)',
+    '  --walls <p>           Chance a free cell is a wall (default 0.2)',
+    '  --seed <n>            Seed for reproducible levels (default random)',
+    '  --target <n|min-max>  Required best time or band',
+    '  --attempts <n>        Grids to try per level (default 200)',
+    '  --count <n>           Levels to generate, seeds seed, seed+1, ... (default 1)',
+    '',
+    'Rule options (solve, verify, demo, generate, edit, play and interactive mode):',
+    '',
+    '  --move-cost <n>       Time per move (default 1)',
+    '  --wait-cost <n>       Time per wait (default 1)',
+    '  --portal-cost <n>     Time per teleport (default 0)',
+    '  --portal-reusable     Portals are never used up',
+    '  --laser-period <n>    Lasers fire when time % n == 0 (default 3)',
+    '  --rift-rewind <n>     Time a rift rewinds (default 2)',
+    '  --max-iterations <n>  Search limit (default 1000000)',
+    ''
+  ];
+  const width = Math.max(...lines.map(line => line.length));
+  lines.forEach(line => printCentered(line.padEnd(width)));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SECTION 10: EXPORTS AND MAIN
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1516,52 +6038,186 @@ function startInteractiveMode() {
 module.exports = {
   solveQuantumHeist,
   parseMuseum,
+  validateMuseum,
   visualizeMuseum,
+  solveWorstPath,
+  solveTopPaths,
+  generatePuzzle,
+  scoreDifficulty,
+  explainUnsolvable,
+  diffPaths,
+  renderPathSvg,
+  renderHtmlReport,
+  validatePath,
+  loadPuzzleFile,
+  splitRow,
+  buildResultRecord,
   MinHeap,
   State,
+  DEFAULT_RULES,
+  resolveRules,
   testCases
 };
 
 // Main execution
 if (require.main === module) {
-  const args = process.argv.slice(2);
-
-  if (args.includes('--test') || args.includes('-t')) {
-    // Run tests directly
-    printComplexityAnalysis();
-    runTests();
-  } else if (args.includes('--demo') || args.includes('-d')) {
-    // Run demo directly
-    if (args.includes('best')) {
-      interactiveDemo('best');
-    } else if (args.includes('worst')) {
-      interactiveDemo('worst');
-    } else if (args.includes('both')) {
-      interactiveDemo('both');
-    } else {
-      // Show selection menu with exit option
-      const rl = createReadlineInterface();
-      showDemoMenu(rl, () => {
-        printCentered('');
-        printCentered('Goodbye!');
+  const { command, positional, flags, errors } = parseArgs(process.argv.slice(2));
+  const rules = parseRuleArgs(flags);
+  const { errors: ruleErrors } = resolveRules(rules);
+
+  const top = flags.top === undefined ? 0 : Number(flags.top);
+  if (!Number.isInteger(top) || top < 0) {
+    errors.push(`Option --top needs a whole number, got "${flags.top}"`);
+  }
+  const count = flags.count === undefined ? 1 : Number(flags.count);
+  if (!Number.isInteger(count) || count < 1) {
+    errors.push(`Option --count needs a number >= 1, got "${flags.count}"`);
+  }
+  const generatorOptions = { ...parseGeneratorArgs(flags), rules };
+  if (command === 'generate') {
+    errors.push(...resolveGeneratorOptions(generatorOptions).errors.filter(err => !err.startsWith('Invalid rule')));
+  }
+
+  if (errors.length > 0 || ruleErrors.length > 0) {
+    errors.forEach(err => console.error(err));
+    ruleErrors.forEach(err => console.error(`Invalid rule: ${err}`));
+    console.error('Run "node quantum-heist.js help" for usage.');
+    process.exit(1);
+  }
+
+  const output = flags.ndjson ? 'ndjson' : flags.json ? 'json' : 'text';
+  const search = flags.astar ? 'astar' : 'dijkstra';
+  const svgFormats = [flags.svg && 'static', flags['svg-animated'] && 'animated'].filter(Boolean);
+  const runOptions = { output, worst: !!flags.worst, top, overlay: !!flags.overlay, svgFormats, html: !!flags.html };
+
+  switch (command) {
+    case 'solve':
+      if (positional.length === 0) {
+        console.error('Usage: node quantum-heist.js solve <puzzle files...>');
+        process.exit(1);
+      }
+      process.exitCode = solvePuzzleFiles(positional, rules, { ...runOptions, search }) ? 0 : 1;
+      break;
+    case 'verify': {
+      // Grade a submitted path: verify <puzzle> <path>
+      const [puzzleFile, pathFile] = positional;
+      if (!puzzleFile || !pathFile) {
+        console.error('Usage: node quantum-heist.js verify <puzzle file> <path file>');
+        process.exit(1);
+      }
+      try {
+        process.exitCode = verifyPathFiles(puzzleFile, pathFile, rules) ? 0 : 1;
+      } catch (err) {
+        console.error(`Could not verify: ${describeFileError(err)}`);
+        process.exit(1);
+      }
+      break;
+    }
+    case 'test':
+      // Run tests directly
+      if (output === 'text') {
+        printComplexityAnalysis(rules);
+      }
+      process.exitCode = runTests({ ...runOptions, search: flags.astar ? 'astar' : null }) ? 0 : 1;
+      break;
+    case 'demo':
+      // Run demo directly
+      if (output !== 'text') {
+        // No menu in JSON mode: solve the paths that were asked for (both by default)
+        const choice = positional[0] || 'both';
+        const writer = createRecordWriter(output);
+        const record = buildResultRecord({ name: 'demo', grid: DEMO_PUZZLE }, rules, {
+          best: choice !== 'worst' || !!flags.html,
+          worst: choice !== 'best' || !!flags.html,
+          search,
+          top
+        });
+        if (flags.html) record.report = htmlReportToFile(record);
+        writer.write(record);
+        writer.end();
+        break;
+      }
+      if (flags.html) {
+        // The report always holds both paths, whatever the demo shows next
+        const record = buildResultRecord({ name: 'demo', grid: DEMO_PUZZLE }, rules, { worst: true, search, top });
         printCentered('');
-        rl.close();
-      }, true);
+        printCentered(`HTML report: ${htmlReportToFile(record)}`);
+      }
+      if (['best', 'worst', 'both'].includes(positional[0])) {
+        interactiveDemo(positional[0], rules, svgFormats);
+      } else if (positional[0] === 'diff') {
+        printRouteComparison(DEMO_PUZZLE, rules);
+      } else {
+        // Show selection menu with exit option
+        const rl = createReadlineInterface();
+        showDemoMenu(rl, () => {
+          printCentered('');
+          printCentered('Goodbye!');
+          printCentered('');
+          rl.close();
+        }, true, rules);
+      }
+      break;
+    case 'bench': {
+      // Solve with and without the cell index on a puzzle file, or the Test 8 grid
+      let puzzle = { name: testCases[7].name, grid: testCases[7].grid };
+      if (positional[0]) {
+        try {
+          puzzle = loadPuzzleFile(positional[0])[0];
+        } catch (err) {
+          console.error(`Could not load ${positional[0]}: ${describeFileError(err)}`);
+          process.exit(1);
+        }
+      }
+      const bench = benchmarkCellLookup(puzzle.grid);
+      if (output === 'text') {
+        printLookupBenchmark(puzzle.name, bench);
+      } else {
+        const writer = createRecordWriter(output);
+        writer.write({ name: puzzle.name, ...bench });
+        writer.end();
+      }
+      break;
     }
-  } else if (args.includes('--help') || args.includes('-h')) {
-    printCentered('');
-    printCentered('Challenge 2 - Usage:');
-    printCentered('');
-    printCentered('  node quantum-heist.js              Start interactive mode');
-    printCentered('  node quantum-heist.js --test       Run all tests');
-    printCentered('  node quantum-heist.js --demo       Run demo (select path type)');
-    printCentered('  node quantum-heist.js --demo best  Run demo (best path only)');
-    printCentered('  node quantum-heist.js --demo worst Run demo (worst path only)');
-    printCentered('  node quantum-heist.js --demo both  Run demo (both paths)');
-    printCentered('  node quantum-heist.js --help       Show this help');
-    printCentered('');
-  } else {
-    // Start interactive mode by default
-    startInteractiveMode();
+    case 'generate':
+      // Random solvable levels: generate [out dir or .json file]
+      process.exitCode = generatePuzzleFiles(positional[0] || 'generated', generatorOptions, count, output) ? 0 : 1;
+      break;
+    case 'edit': {
+      // Full-screen level editor: edit [puzzle file]
+      let level;
+      try {
+        level = loadEditorLevel(positional[0], rules);
+      } catch (err) {
+        console.error(`Could not load ${positional[0]}: ${describeFileError(err)}`);
+        process.exit(1);
+      }
+      runLevelEditor(level, (editor) => {
+        if (editor && editor.file && !editor.modified) printCentered(`Level saved to ${editor.file}`);
+        process.exitCode = editor ? 0 : 1;
+      });
+      break;
+    }
+    case 'play': {
+      // Steer the thief yourself: play [test number or puzzle file]
+      let level;
+      try {
+        level = loadPlayLevel(positional[0], rules);
+      } catch (err) {
+        console.error(`Could not load ${positional[0]}: ${describeFileError(err)}`);
+        process.exit(1);
+      }
+      runPlayMode(level, (game) => {
+        printGameSummary(game);
+        process.exitCode = game && game.report.solved ? 0 : 1;
+      });
+      break;
+    }
+    case 'help':
+      printUsage();
+      break;
+    default:
+      // Start interactive mode by default
+      startInteractiveMode(rules);
   }
 }